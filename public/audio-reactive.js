@@ -0,0 +1,157 @@
+/*
+ * Audio Reactivity for ImproterAI
+ * Analyses the microphone or a local audio file with p5.sound (FFT, amplitude
+ * and bass beat detection) and turns it into modulation for the visualizers:
+ *
+ *   bass    → growing circle size and smoke density
+ *   mid     → fireworks cadence (beats also fire a burst straight away)
+ *   treble  → particle emission rate
+ *
+ * Systems hold a reference to the analyzer and ask getBoost(band) for a
+ * multiplier, which stays at 1 while audio is off.
+ */
+
+const AUDIO_BANDS = ["bass", "mid", "treble"]; // p5.FFT getEnergy() ranges
+
+class AudioAnalyzer {
+  constructor() {
+    this.source = "off"; // "off", "mic" or "file"
+    this.mic = null; // p5.AudioIn
+    this.sound = null; // p5.SoundFile
+    this.objectUrl = null;
+    this.fft = null; // Created on first use, once p5.sound is known to be loaded
+    this.amplitude = null;
+
+    this.reactivity = 1; // How strongly sound drives the visuals (0 = not at all)
+    this.levels = { bass: 0, mid: 0, treble: 0, level: 0 }; // 0..1, updated every frame
+
+    // Beat detection on bass energy
+    this.beat = false; // True on the frame a beat lands
+    this.pulse = 0; // 1 on a beat, decaying to 0
+    this.bassAverage = 0; // Running average a beat has to stand out against
+    this.beatThreshold = 1.3; // Bass must reach this multiple of its average
+    this.minBeatLevel = 0.3; // ...and be at least this loud
+    this.beatHold = 250; // ms before the next beat can land
+    this.lastBeatTime = 0;
+  }
+
+  isActive() {
+    return this.source !== "off";
+  }
+
+  ensureAnalysers() {
+    if (this.fft) return;
+    if (typeof p5.FFT !== "function") {
+      throw new Error("p5.sound is not loaded");
+    }
+    this.fft = new p5.FFT(0.8, 1024);
+    this.amplitude = new p5.Amplitude();
+  }
+
+  // Listen to the default microphone (not played back); needs a user gesture
+  useMicrophone() {
+    this.ensureAnalysers();
+    this.stop();
+    return userStartAudio().then(
+      () =>
+        new Promise((resolve, reject) => {
+          const mic = new p5.AudioIn();
+          mic.start(() => {
+            this.mic = mic;
+            this.connect(mic, "mic");
+            resolve();
+          }, reject);
+        })
+    );
+  }
+
+  // Play a local audio file on loop and analyse it
+  useFile(file) {
+    this.ensureAnalysers();
+    this.stop();
+    const url = URL.createObjectURL(file);
+    return userStartAudio().then(
+      () =>
+        new Promise((resolve, reject) => {
+          loadSound(
+            url,
+            (sound) => {
+              this.sound = sound;
+              this.objectUrl = url;
+              sound.loop();
+              this.connect(sound, "file");
+              resolve();
+            },
+            (err) => {
+              URL.revokeObjectURL(url);
+              reject(err);
+            }
+          );
+        })
+    );
+  }
+
+  connect(input, source) {
+    this.fft.setInput(input);
+    this.amplitude.setInput(input);
+    this.source = source;
+  }
+
+  stop() {
+    if (this.mic) {
+      this.mic.stop();
+      this.mic = null;
+    }
+    if (this.sound) {
+      this.sound.stop();
+      this.sound = null;
+    }
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+    this.source = "off";
+    this.levels = { bass: 0, mid: 0, treble: 0, level: 0 };
+    this.bassAverage = 0;
+    this.beat = false;
+    this.pulse = 0;
+  }
+
+  setReactivity(reactivity) {
+    this.reactivity = reactivity;
+  }
+
+  // Analyse this frame's audio; dt = elapsed 60 fps frames
+  update(dt = frameSteps(window)) {
+    this.beat = false;
+    this.pulse *= decayFactor(0.9, dt);
+    if (!this.isActive()) return;
+
+    this.fft.analyze();
+    for (const band of AUDIO_BANDS) {
+      this.levels[band] = this.fft.getEnergy(band) / 255;
+    }
+    this.levels.level = this.amplitude.getLevel();
+
+    // A beat is bass jumping well above its recent average
+    const bass = this.levels.bass;
+    const now = millis();
+    if (
+      bass > this.minBeatLevel &&
+      bass > this.bassAverage * this.beatThreshold &&
+      now - this.lastBeatTime > this.beatHold
+    ) {
+      this.beat = true;
+      this.pulse = 1;
+      this.lastBeatTime = now;
+    }
+    this.bassAverage += (bass - this.bassAverage) * lerpFactor(0.05, dt);
+  }
+
+  // Multiplier for a band ("bass", "mid" or "treble"): 1 in silence,
+  // up to 1 + reactivity at full energy
+  getBoost(band) {
+    if (!this.isActive()) return 1;
+    return 1 + this.levels[band] * this.reactivity;
+  }
+}
@@ -0,0 +1,146 @@
+/*
+ * Body Map for ImproterAI
+ * Clickable figure for choosing which keypoints emit in a paint mode. Shows the
+ * body joints, virtual points (torso center, bone midpoints from
+ * VIRTUAL_KEYPOINTS) and fingertips (need the hand pipeline). The figure faces
+ * you like the mirrored camera, so the performer's left is on the left.
+ */
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Joint positions in a 160×260 figure
+const BODY_MAP_JOINTS = {
+  nose: [80, 30],
+  leftEye: [74, 24],
+  rightEye: [86, 24],
+  leftEar: [67, 30],
+  rightEar: [93, 30],
+  leftShoulder: [55, 65],
+  rightShoulder: [105, 65],
+  leftElbow: [40, 105],
+  rightElbow: [120, 105],
+  leftWrist: [30, 145],
+  rightWrist: [130, 145],
+  leftHip: [65, 140],
+  rightHip: [95, 140],
+  leftKnee: [62, 190],
+  rightKnee: [98, 190],
+  leftAnkle: [60, 240],
+  rightAnkle: [100, 240],
+};
+
+// Bones drawn for reference
+const BODY_MAP_BONES = [
+  ["leftShoulder", "rightShoulder"],
+  ["leftShoulder", "leftElbow"],
+  ["leftElbow", "leftWrist"],
+  ["rightShoulder", "rightElbow"],
+  ["rightElbow", "rightWrist"],
+  ["leftShoulder", "leftHip"],
+  ["rightShoulder", "rightHip"],
+  ["leftHip", "rightHip"],
+  ["leftHip", "leftKnee"],
+  ["leftKnee", "leftAnkle"],
+  ["rightHip", "rightKnee"],
+  ["rightKnee", "rightAnkle"],
+];
+
+// Where a body map point sits: joints are fixed, virtual points sit between
+// their parts, fingertips fan out below the wrists
+function getBodyMapPosition(name) {
+  if (BODY_MAP_JOINTS[name]) return BODY_MAP_JOINTS[name];
+  if (VIRTUAL_KEYPOINTS[name]) {
+    const [a, b] = VIRTUAL_KEYPOINTS[name].map(getBodyMapPosition);
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+  }
+  const fingertip = FINGERTIP_KEYPOINTS.indexOf(name);
+  if (fingertip !== -1) {
+    const side = fingertip < 5 ? "leftWrist" : "rightWrist";
+    const [x, y] = BODY_MAP_JOINTS[side];
+    return [x - 10 + (fingertip % 5) * 5, y + 14];
+  }
+  return null;
+}
+
+class BodyMap {
+  constructor(container, onChange) {
+    this.container = container;
+    this.onChange = onChange; // Called with the new selection after every click
+    this.selection = new Set();
+    this.dots = new Map(); // name -> SVG element
+    this.build();
+  }
+
+  // Points offered on the map, in drawing order
+  getPointNames() {
+    return [
+      ...Object.keys(BODY_MAP_JOINTS),
+      ...Object.keys(VIRTUAL_KEYPOINTS),
+      ...FINGERTIP_KEYPOINTS,
+    ];
+  }
+
+  build() {
+    const svg = document.createElementNS(SVG_NS, "svg");
+    svg.setAttribute("viewBox", "0 0 160 260");
+    svg.classList.add("body-map");
+
+    for (const [a, b] of BODY_MAP_BONES) {
+      const line = document.createElementNS(SVG_NS, "line");
+      const [x1, y1] = BODY_MAP_JOINTS[a];
+      const [x2, y2] = BODY_MAP_JOINTS[b];
+      line.setAttribute("x1", x1);
+      line.setAttribute("y1", y1);
+      line.setAttribute("x2", x2);
+      line.setAttribute("y2", y2);
+      line.classList.add("body-map-bone");
+      svg.appendChild(line);
+    }
+
+    for (const name of this.getPointNames()) {
+      const [x, y] = getBodyMapPosition(name);
+      const dot = document.createElementNS(SVG_NS, "circle");
+      dot.setAttribute("cx", x);
+      dot.setAttribute("cy", y);
+      dot.setAttribute("r", FINGERTIP_KEYPOINTS.includes(name) ? 2.5 : 5);
+      dot.classList.add("body-map-point");
+      if (VIRTUAL_KEYPOINTS[name]) dot.classList.add("virtual");
+
+      // Hover shows the keypoint name
+      const title = document.createElementNS(SVG_NS, "title");
+      title.textContent = name;
+      dot.appendChild(title);
+
+      dot.addEventListener("click", () => this.toggle(name));
+      this.dots.set(name, dot);
+      svg.appendChild(dot);
+    }
+
+    this.container.appendChild(svg);
+  }
+
+  toggle(name) {
+    if (this.selection.has(name)) {
+      this.selection.delete(name);
+    } else {
+      this.selection.add(name);
+    }
+    this.render();
+    this.onChange(this.getSelection());
+  }
+
+  setSelection(names) {
+    this.selection = new Set(names);
+    this.render();
+  }
+
+  getSelection() {
+    return this.getPointNames().filter((name) => this.selection.has(name));
+  }
+
+  render() {
+    for (const [name, dot] of this.dots) {
+      dot.classList.toggle("selected", this.selection.has(name));
+    }
+  }
+}
@@ -0,0 +1,116 @@
+/*
+ * Canvas Video Recording for ImproterAI
+ * Records the composited sketch canvas to WebM with MediaRecorder,
+ * optionally mixing in microphone audio.
+ */
+
+// Preferred formats first; the browser picks the first it supports
+const VIDEO_MIME_TYPES = [
+  "video/webm;codecs=vp9,opus",
+  "video/webm;codecs=vp8,opus",
+  "video/webm",
+];
+
+class CanvasRecorder {
+  constructor() {
+    this.mediaRecorder = null;
+    this.chunks = [];
+    this.audioStream = null;
+    this.isRecording = false;
+    this.isStarting = false; // Waiting for the mic; blocks a second start()
+    this.startTime = 0;
+    this.fps = 30;
+    this.videoBitsPerSecond = 8000000;
+  }
+
+  static isSupported() {
+    return typeof MediaRecorder !== "undefined" && !!HTMLCanvasElement.prototype.captureStream;
+  }
+
+  getMimeType() {
+    return VIDEO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+  }
+
+  // Start recording a canvas element; resolves once recording has begun
+  async start(canvasElement, { audio = false } = {}) {
+    if (this.isRecording || this.isStarting) return;
+    if (!CanvasRecorder.isSupported()) {
+      throw new Error("Video recording is not supported in this browser");
+    }
+
+    this.isStarting = true;
+    try {
+      const stream = canvasElement.captureStream(this.fps);
+
+      if (audio) {
+        // Ask for the mic only when needed; the recording still works without it
+        try {
+          this.audioStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+          for (const track of this.audioStream.getAudioTracks()) {
+            stream.addTrack(track);
+          }
+        } catch (err) {
+          console.warn("Microphone unavailable, recording video only:", err);
+        }
+      }
+
+      const mimeType = this.getMimeType();
+      this.chunks = [];
+      this.mediaRecorder = new MediaRecorder(stream, {
+        mimeType,
+        videoBitsPerSecond: this.videoBitsPerSecond,
+      });
+      this.mediaRecorder.ondataavailable = (e) => {
+        if (e.data.size > 0) this.chunks.push(e.data);
+      };
+
+      this.mediaRecorder.start(1000); // Collect data every second so long takes aren't held in one chunk
+      this.startTime = millis();
+      this.isRecording = true;
+    } catch (err) {
+      this.stopAudio();
+      throw err;
+    } finally {
+      this.isStarting = false;
+    }
+  }
+
+  // Stop recording and download the clip
+  stop(filename = "pose-performance.webm") {
+    if (!this.isRecording) return;
+
+    this.mediaRecorder.onstop = () => {
+      const blob = new Blob(this.chunks, { type: this.mediaRecorder.mimeType || "video/webm" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.click();
+      // Give the download a moment to start before releasing the blob
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      this.chunks = [];
+    };
+    this.mediaRecorder.stop();
+    this.stopAudio();
+    this.isRecording = false;
+  }
+
+  // Release the mic
+  stopAudio() {
+    if (this.audioStream) {
+      this.audioStream.getTracks().forEach((track) => track.stop());
+      this.audioStream = null;
+    }
+  }
+
+  // Elapsed recording time in ms
+  getElapsed() {
+    return this.isRecording ? millis() - this.startTime : 0;
+  }
+
+  // Elapsed time as m:ss for the UI
+  getElapsedLabel() {
+    const seconds = Math.floor(this.getElapsed() / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+  }
+}
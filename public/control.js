@@ -0,0 +1,142 @@
+/*
+ * Operator Control Page for ImproterAI
+ * Builds a copy of the show window's settings controls from its description
+ * (describeSettingControls() in sketch.js) and sends every change back over a
+ * RemoteControlLink. Works from a second window on the same machine, or from
+ * a phone or laptop through the pose server.
+ */
+
+const SHOW_TIMEOUT_MS = 2000; // No status for this long means the show window is gone
+
+let link;
+let lastStatusTime = 0;
+let controlsBuilt = false;
+const inputs = new Map(); // setting key -> { input, valueLabel }
+
+function init() {
+  link = new RemoteControlLink(handleShowMessage);
+  link.openChannel();
+
+  const modeSelect = document.getElementById("link-mode");
+  const urlInput = document.getElementById("server-url");
+  urlInput.value = `ws://${location.hostname || "localhost"}:8082`;
+
+  // Opened from another device, the show window can only be reached through the server
+  const isLocal = ["localhost", "127.0.0.1", ""].includes(location.hostname);
+  modeSelect.value = isLocal ? "channel" : "server";
+
+  const applyLinkMode = () => {
+    if (modeSelect.value === "server") {
+      link.connect(urlInput.value);
+    } else {
+      link.disconnect();
+    }
+    urlInput.disabled = modeSelect.value !== "server";
+    link.send({ type: "hello" });
+  };
+  modeSelect.addEventListener("change", applyLinkMode);
+  urlInput.addEventListener("change", applyLinkMode);
+
+  // Ask for the controls as soon as the server link opens
+  link.onStatusChange = () => {
+    if (link.status === "open") link.send({ type: "hello" });
+  };
+
+  document.getElementById("fire-fireworks").addEventListener("click", () => {
+    link.send({ type: "fireworks" });
+  });
+  document.getElementById("clear-canvas").addEventListener("click", () => {
+    link.send({ type: "clear" });
+  });
+
+  // Keep asking until a show window answers
+  setInterval(() => {
+    const connected = Date.now() - lastStatusTime < SHOW_TIMEOUT_MS;
+    document.getElementById("link-status").textContent = connected
+      ? "🟢 Connected"
+      : "🔴 Waiting for the show window…";
+    if (!connected || !controlsBuilt) link.send({ type: "hello" });
+  }, 1000);
+
+  applyLinkMode();
+}
+
+function handleShowMessage(message) {
+  if (message.type === "controls") {
+    buildControls(message.controls);
+  } else if (message.type === "status") {
+    lastStatusTime = Date.now();
+    document.getElementById("people").textContent = message.people;
+    document.getElementById("fps").textContent = message.fps;
+    showSettings(message.settings);
+  }
+}
+
+// One row per setting, matching the show window's control
+function buildControls(controls) {
+  const container = document.getElementById("controls");
+  container.innerHTML = "";
+  inputs.clear();
+
+  for (const control of controls) {
+    const row = document.createElement("label");
+    row.className = "control-row";
+
+    const name = document.createElement("span");
+    name.textContent = control.label;
+    row.appendChild(name);
+
+    let input;
+    if (control.type === "select") {
+      input = document.createElement("select");
+      for (const option of control.options) input.add(new Option(option.label, option.value));
+    } else {
+      input = document.createElement("input");
+      input.type = control.type;
+      if (control.type === "range") {
+        input.min = control.min;
+        input.max = control.max;
+        input.step = control.step;
+      }
+    }
+    row.appendChild(input);
+
+    const valueLabel = document.createElement("span");
+    valueLabel.className = "control-value";
+    if (control.type === "range") row.appendChild(valueLabel);
+
+    // Sliders and colors follow the finger; the rest send once they change
+    const eventName = control.type === "range" || control.type === "color" ? "input" : "change";
+    input.addEventListener(eventName, () => {
+      const value = readInput(input);
+      valueLabel.textContent = value;
+      link.send({ type: "set", key: control.key, value });
+    });
+
+    inputs.set(control.key, { input, valueLabel });
+    container.appendChild(row);
+  }
+  controlsBuilt = true;
+}
+
+function readInput(input) {
+  if (input.type === "checkbox") return input.checked;
+  if (input.type === "range") return parseFloat(input.value);
+  return input.value;
+}
+
+// Reflect the show's current settings, except on the control being touched
+function showSettings(settings) {
+  for (const [key, value] of Object.entries(settings)) {
+    const entry = inputs.get(key);
+    if (!entry || entry.input === document.activeElement) continue;
+    if (entry.input.type === "checkbox") {
+      entry.input.checked = value;
+    } else {
+      entry.input.value = value;
+    }
+    entry.valueLabel.textContent = value;
+  }
+}
+
+window.addEventListener("DOMContentLoaded", init);
@@ -0,0 +1,32 @@
+/*
+ * Frame Timing for ImproterAI
+ * The simulation constants (decays, drag, growth speeds) were tuned at 60 fps.
+ * These helpers express each frame's real elapsed time in "60 fps frames" so
+ * every system behaves the same at 30, 60 or 144 fps.
+ *
+ * Functions that read p5 state take the p5 instance `p` (in global mode,
+ * p5 puts the sketch's functions and variables on window, so pass window).
+ */
+
+const FRAME_STEP_MS = 1000 / 60; // Duration of one tuning frame
+const MAX_FRAME_MS = 100; // Clamp long stalls (tab in background) so nothing explodes
+
+// Real time since the previous frame, in ms
+function frameDeltaMs(p) {
+  return Math.min(p.deltaTime, MAX_FRAME_MS);
+}
+
+// Real time since the previous frame, in 60 fps frames (1 at 60 fps, 2 at 30 fps)
+function frameSteps(p) {
+  return frameDeltaMs(p) / FRAME_STEP_MS;
+}
+
+// Per-frame multiplier (e.g. drag 0.995) applied over dt tuning frames
+function decayFactor(perFrame, dt) {
+  return Math.pow(perFrame, dt);
+}
+
+// Per-frame lerp amount (e.g. 0.05) applied over dt tuning frames
+function lerpFactor(perFrame, dt) {
+  return 1 - Math.pow(1 - perFrame, dt);
+}
@@ -0,0 +1,429 @@
+/*
+ * Gesture Recognition for ImproterAI
+ * Evaluates named gestures from keypoint geometry, with hold durations and
+ * cooldowns, and emits start/end events that visualizers can subscribe to.
+ *
+ * Gestures are plain rule objects (see GESTURE_LIBRARY):
+ *   {
+ *     name: "tPose",
+ *     scope: "person",   // "person" (per track ID) or "everyone" (all people at once)
+ *     hold: 600,         // ms the condition must stay true before the gesture starts
+ *     cooldown: 2000,    // ms after a start before it can start again
+ *     when: { all: [ { type: "level", a: "leftWrist", b: "leftShoulder", margin: 0.35 }, ... ] },
+ *   }
+ *
+ * `when` nests { all: [...] }, { any: [...] } and { not: ... } around predicates.
+ * Margins are in shoulder widths so rules work at any distance from the camera.
+ */
+
+// Points derived from pairs of keypoints (midpoints; may nest)
+const VIRTUAL_KEYPOINTS = {
+  midShoulder: ["leftShoulder", "rightShoulder"],
+  midHip: ["leftHip", "rightHip"],
+  torsoCenter: ["midShoulder", "midHip"],
+  // Bone midpoints
+  leftUpperArm: ["leftShoulder", "leftElbow"],
+  leftForearm: ["leftElbow", "leftWrist"],
+  rightUpperArm: ["rightShoulder", "rightElbow"],
+  rightForearm: ["rightElbow", "rightWrist"],
+  leftThigh: ["leftHip", "leftKnee"],
+  leftShin: ["leftKnee", "leftAnkle"],
+  rightThigh: ["rightHip", "rightKnee"],
+  rightShin: ["rightKnee", "rightAnkle"],
+};
+
+// ml5 names keypoints in snake_case ("left_wrist"); rules use camelCase
+function toSnakeCase(name) {
+  return name.replace(/[A-Z]/g, (c) => "_" + c.toLowerCase());
+}
+
+function findKeypoint(pose, name, minConfidence) {
+  if (VIRTUAL_KEYPOINTS[name]) {
+    const [a, b] = VIRTUAL_KEYPOINTS[name].map((n) => findKeypoint(pose, n, minConfidence));
+    return a && b
+      ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, confidence: Math.min(a.confidence, b.confidence) }
+      : null;
+  }
+
+  const snake = toSnakeCase(name);
+  let keypoint = pose.keypoints.find((k) => k.name === name || k.name === snake);
+  if (!keypoint) {
+    // Poses without keypoint names (e.g. hand-built fixtures) fall back to the model's layout
+    const index = getKeypointNames(pose).indexOf(name);
+    keypoint = index !== -1 ? pose.keypoints[index] : null;
+  }
+  // Fingertips and face points attached by the LandmarkTracker
+  if (!keypoint && (pose.hands || pose.face)) {
+    keypoint = findLandmark(pose, name);
+  }
+  return keypoint && keypoint.confidence > minConfidence ? keypoint : null;
+}
+
+// Predicate leaves: (ctx, rule) → boolean. Margins are multiplied by ctx.unit.
+const GESTURE_PREDICATES = {
+  // a is higher on screen than b
+  above: (ctx, r) => ctx.compare(r, (a, b, m) => a.y < b.y - m),
+  below: (ctx, r) => ctx.compare(r, (a, b, m) => a.y > b.y + m),
+  // a and b are at about the same height
+  level: (ctx, r) => ctx.compare(r, (a, b, m) => Math.abs(a.y - b.y) < m),
+  near: (ctx, r) => ctx.compare(r, (a, b, m) => Math.hypot(a.x - b.x, a.y - b.y) < m),
+  apart: (ctx, r) => ctx.compare(r, (a, b, m) => Math.hypot(a.x - b.x, a.y - b.y) > m),
+  // a and b are on the same side of the body midline (mirror-independent)
+  sameSide: (ctx, r) => {
+    const mid = ctx.point("midShoulder");
+    return ctx.compare(r, (a, b) => mid !== null && Math.sign(a.x - mid.x) === Math.sign(b.x - mid.x));
+  },
+  // a rose by margin within the last `window` ms (e.g. hips during a jump)
+  rise: (ctx, r) => {
+    const now = ctx.point(r.a);
+    if (!now) return false;
+    const lowest = Math.max(...ctx.pastPoints(r.a, r.window).map((p) => p.y));
+    return lowest - now.y > r.margin * ctx.unit;
+  },
+  // a and b are near now but were at least `open` apart within `window` ms (e.g. a clap)
+  meet: (ctx, r) => {
+    if (!GESTURE_PREDICATES.near(ctx, r)) return false;
+    const pastA = ctx.pastPoints(r.a, r.window);
+    const pastB = ctx.pastPoints(r.b, r.window);
+    const n = Math.min(pastA.length, pastB.length);
+    for (let i = 0; i < n; i++) {
+      if (Math.hypot(pastA[i].x - pastB[i].x, pastA[i].y - pastB[i].y) > r.open * ctx.unit) return true;
+    }
+    return false;
+  },
+  // a swung sideways at least `count` times by margin within `window` ms (e.g. a wave)
+  oscillate: (ctx, r) => {
+    const xs = ctx.pastPoints(r.a, r.window).map((p) => p.x);
+    const swing = r.margin * ctx.unit;
+    let swings = 0;
+    let direction = 0;
+    let anchor = xs[0];
+    for (const x of xs) {
+      if (direction >= 0 && x < anchor - swing) {
+        if (direction > 0) swings++;
+        direction = -1;
+        anchor = x;
+      } else if (direction <= 0 && x > anchor + swing) {
+        if (direction < 0) swings++;
+        direction = 1;
+        anchor = x;
+      } else if ((direction > 0 && x > anchor) || (direction < 0 && x < anchor)) {
+        anchor = x; // Keep following the current swing to its extreme
+      }
+    }
+    return swings >= r.count;
+  },
+  // A face expression metric from the LandmarkTracker is above min (e.g. mouthOpen)
+  faceMetric: (ctx, r) => {
+    const face = ctx.pose.face;
+    return face !== undefined && face.metrics[r.metric] > r.min;
+  },
+};
+
+// Both wrists clearly above the shoulder line
+const HANDS_UP_RULE = {
+  all: [
+    { type: "above", a: "leftWrist", b: "midShoulder", margin: 0.1 },
+    { type: "above", a: "rightWrist", b: "midShoulder", margin: 0.1 },
+  ],
+};
+
+const GESTURE_LIBRARY = [
+  {
+    name: "handRaised", // At least one hand above the head
+    when: {
+      any: [
+        { type: "above", a: "leftWrist", b: "nose" },
+        { type: "above", a: "rightWrist", b: "nose" },
+      ],
+    },
+  },
+  {
+    name: "handsUp",
+    when: HANDS_UP_RULE,
+  },
+  {
+    name: "everyoneHandsUp", // Every person in frame has both hands up
+    scope: "everyone",
+    hold: 2000,
+    cooldown: 5000,
+    when: HANDS_UP_RULE,
+  },
+  {
+    name: "tPose",
+    hold: 600,
+    cooldown: 2000,
+    when: {
+      all: [
+        { type: "level", a: "leftWrist", b: "leftShoulder", margin: 0.35 },
+        { type: "level", a: "rightWrist", b: "rightShoulder", margin: 0.35 },
+        { type: "apart", a: "leftWrist", b: "rightWrist", margin: 2.5 },
+      ],
+    },
+  },
+  {
+    name: "squat",
+    hold: 300,
+    cooldown: 1000,
+    when: {
+      all: [
+        { type: "level", a: "leftHip", b: "leftKnee", margin: 0.4 },
+        { type: "level", a: "rightHip", b: "rightKnee", margin: 0.4 },
+      ],
+    },
+  },
+  {
+    name: "jump",
+    cooldown: 800,
+    when: { type: "rise", a: "midHip", margin: 0.4, window: 300 },
+  },
+  {
+    name: "clap",
+    cooldown: 400,
+    when: { type: "meet", a: "leftWrist", b: "rightWrist", margin: 0.35, open: 1.0, window: 600 },
+  },
+  {
+    name: "wave",
+    cooldown: 1500,
+    when: {
+      any: [
+        {
+          all: [
+            { type: "above", a: "leftWrist", b: "leftElbow" },
+            { type: "oscillate", a: "leftWrist", margin: 0.3, count: 2, window: 1500 },
+          ],
+        },
+        {
+          all: [
+            { type: "above", a: "rightWrist", b: "rightElbow" },
+            { type: "oscillate", a: "rightWrist", margin: 0.3, count: 2, window: 1500 },
+          ],
+        },
+      ],
+    },
+  },
+  {
+    name: "armsCrossed",
+    hold: 500,
+    cooldown: 2000,
+    when: {
+      all: [
+        { type: "sameSide", a: "leftWrist", b: "rightShoulder" },
+        { type: "sameSide", a: "rightWrist", b: "leftShoulder" },
+        { type: "near", a: "leftWrist", b: "rightWrist", margin: 0.8 },
+      ],
+    },
+  },
+  // Face gestures need the face pipeline (LandmarkTracker) enabled
+  {
+    name: "mouthOpen",
+    hold: 150,
+    cooldown: 800,
+    when: { type: "faceMetric", metric: "mouthOpen", min: 0.08 },
+  },
+  {
+    name: "eyebrowRaise",
+    hold: 200,
+    cooldown: 1500,
+    when: { type: "faceMetric", metric: "browRaise", min: 0.15 },
+  },
+];
+
+class GestureEngine {
+  constructor(p, library = GESTURE_LIBRARY) {
+    this.p = p; // p5 instance (for the clock)
+    this.gestures = new Map();
+    this.states = new Map(); // "gesture|personId" -> { since, active, lastStart }
+    this.history = new Map(); // personId -> [{ t, pose }] for motion predicates
+    this.historyLength = 2000; // ms of poses kept per person
+    this.minConfidence = 0.1;
+    this.listeners = new Map(); // gesture name or "*" -> callbacks
+
+    for (const gesture of library) this.addGesture(gesture);
+  }
+
+  // Register (or replace) a gesture rule
+  addGesture(definition) {
+    if (!definition.name || !definition.when) {
+      throw new Error("Gesture definitions need a name and a when condition");
+    }
+    this.gestures.set(definition.name, {
+      scope: "person",
+      hold: 0,
+      cooldown: 0,
+      ...definition,
+    });
+  }
+
+  removeGesture(name) {
+    this.gestures.delete(name);
+    for (const key of this.states.keys()) {
+      if (key.startsWith(name + "|")) this.states.delete(key);
+    }
+  }
+
+  getGestureNames() {
+    return Array.from(this.gestures.keys());
+  }
+
+  // Subscribe to one gesture by name, or "*" for all; callback gets { name, personId, type }
+  on(name, callback) {
+    if (!this.listeners.has(name)) this.listeners.set(name, []);
+    this.listeners.get(name).push(callback);
+  }
+
+  off(name, callback) {
+    const callbacks = this.listeners.get(name);
+    if (callbacks) this.listeners.set(name, callbacks.filter((cb) => cb !== callback));
+  }
+
+  emit(event) {
+    for (const key of [event.name, "*"]) {
+      for (const callback of this.listeners.get(key) || []) callback(event);
+    }
+  }
+
+  // Evaluate every gesture for this frame's canvas-space poses (tagged with trackId);
+  // minConfidence, when given, becomes the keypoint threshold from this frame on
+  update(poses, minConfidence = this.minConfidence) {
+    const now = this.p.millis();
+    this.minConfidence = minConfidence;
+
+    for (const pose of poses) {
+      this.recordHistory(pose, now);
+    }
+
+    for (const [name, gesture] of this.gestures) {
+      if (gesture.scope === "everyone") {
+        const matched =
+          poses.length > 0 && poses.every((pose) => this.evaluate(gesture.when, this.createContext(pose)));
+        this.updateState(name, gesture, "everyone", matched, now);
+      } else {
+        for (const pose of poses) {
+          const matched = this.evaluate(gesture.when, this.createContext(pose));
+          this.updateState(name, gesture, this.getPersonId(pose), matched, now);
+        }
+      }
+    }
+  }
+
+  getPersonId(pose) {
+    return pose.trackId !== undefined ? pose.trackId : 0;
+  }
+
+  recordHistory(pose, now) {
+    const personId = this.getPersonId(pose);
+    if (!this.history.has(personId)) this.history.set(personId, []);
+    const samples = this.history.get(personId);
+    samples.push({ t: now, pose });
+    while (samples.length > 0 && now - samples[0].t > this.historyLength) {
+      samples.shift();
+    }
+  }
+
+  // Everything a predicate needs to look at one person
+  createContext(pose) {
+    const minConfidence = this.minConfidence;
+    const samples = this.history.get(this.getPersonId(pose)) || [];
+    const point = (name) => findKeypoint(pose, name, minConfidence);
+    const ls = point("leftShoulder");
+    const rs = point("rightShoulder");
+    // Shoulder width as the body-size unit (fallback keeps margins sane when shoulders are hidden)
+    const unit = ls && rs ? Math.max(Math.hypot(ls.x - rs.x, ls.y - rs.y), 1) : 60;
+
+    return {
+      pose,
+      unit,
+      point,
+      // Positions of a keypoint over the last `window` ms, oldest first
+      pastPoints: (name, window) => {
+        const since = this.p.millis() - window;
+        return samples
+          .filter((s) => s.t >= since)
+          .map((s) => findKeypoint(s.pose, name, minConfidence))
+          .filter((p) => p !== null);
+      },
+      // Look up a and b, then compare them with margin (in shoulder widths)
+      compare: (rule, fn) => {
+        const a = point(rule.a);
+        const b = point(rule.b);
+        return a !== null && b !== null && fn(a, b, (rule.margin || 0) * unit);
+      },
+    };
+  }
+
+  evaluate(node, ctx) {
+    if (node.all) return node.all.every((child) => this.evaluate(child, ctx));
+    if (node.any) return node.any.some((child) => this.evaluate(child, ctx));
+    if (node.not) return !this.evaluate(node.not, ctx);
+
+    const predicate = GESTURE_PREDICATES[node.type];
+    if (!predicate) {
+      throw new Error(`Unknown gesture predicate: ${node.type}`);
+    }
+    return predicate(ctx, node);
+  }
+
+  // Apply hold time and cooldown, emitting start/end on transitions
+  updateState(name, gesture, personId, matched, now) {
+    const key = `${name}|${personId}`;
+    if (!this.states.has(key)) {
+      this.states.set(key, { since: null, active: false, lastStart: -Infinity });
+    }
+    const state = this.states.get(key);
+
+    if (!matched) {
+      state.since = null;
+      if (state.active) {
+        state.active = false;
+        this.emit({ name, personId, type: "end" });
+      }
+      return;
+    }
+
+    if (state.since === null) state.since = now;
+
+    if (
+      !state.active &&
+      now - state.since >= gesture.hold &&
+      now - state.lastStart >= gesture.cooldown
+    ) {
+      state.active = true;
+      state.lastStart = now;
+      this.emit({ name, personId, type: "start" });
+    }
+  }
+
+  // Whether a gesture is currently active for a person (or "everyone")
+  isActive(name, personId = 0) {
+    const state = this.states.get(`${name}|${personId}`);
+    return state !== undefined && state.active;
+  }
+
+  // Active gestures as [{ name, personId }], for HUD display
+  getActive() {
+    const active = [];
+    for (const [key, state] of this.states) {
+      if (!state.active) continue;
+      const [name, personId] = key.split("|");
+      active.push({ name, personId });
+    }
+    return active;
+  }
+
+  // Drop a person who left; their active gestures end
+  forgetPerson(personId) {
+    this.history.delete(personId);
+    for (const [key, state] of this.states) {
+      const [name, id] = key.split("|");
+      if (id !== String(personId)) continue;
+      if (state.active) this.emit({ name, personId, type: "end" });
+      this.states.delete(key);
+    }
+  }
+
+  clear() {
+    this.history.clear();
+    this.states.clear();
+  }
+}
@@ -0,0 +1,219 @@
+/*
+ * Pose Input Sources for ImproterAI
+ * Webcam, local video file or image sequence, all fed to bodyPose the same way
+ */
+
+const INPUT_SOURCE_LABELS = {
+  webcam: "Camera",
+  video: "Video",
+  images: "Images",
+};
+
+// Natural sort so frame_2.png comes before frame_10.png
+function compareFileNames(a, b) {
+  return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: "base" });
+}
+
+class PoseInputSource {
+  constructor() {
+    this.type = "webcam";
+    this.media = null; // p5 capture, p5 video element or p5.Graphics frame buffer
+    this.isActive = false;
+    this.objectUrls = [];
+    this.loadId = 0; // Bumped by release() so loads for a replaced source are ignored
+
+    // Image sequence playback
+    this.images = [];
+    this.imageIndex = 0;
+    this.imageInterval = 500; // ms each still stays on screen
+    this.lastImageTime = 0;
+  }
+
+  // Switch back to the webcam (capture is created lazily on start)
+  useWebcam(onReady) {
+    this.release();
+    this.type = "webcam";
+    if (onReady) onReady();
+  }
+
+  // Use a local video file; onReady fires once its dimensions are known. A file the
+  // browser can't decode falls back to the webcam and calls onError.
+  useVideoFile(file, onReady, onError) {
+    this.release();
+    this.type = "video";
+    const loadId = this.loadId;
+
+    const url = URL.createObjectURL(file);
+    this.objectUrls.push(url);
+
+    this.media = createVideo(url);
+    this.media.elt.muted = true;
+    this.media.elt.playsInline = true;
+    this.media.hide();
+    this.media.elt.addEventListener("loadedmetadata", () => {
+      if (loadId !== this.loadId) return;
+      this.media.size(this.media.elt.videoWidth, this.media.elt.videoHeight);
+      if (onReady) onReady();
+    });
+    this.media.elt.addEventListener("error", () => {
+      if (loadId !== this.loadId) return;
+      this.useWebcam();
+      if (onError) onError(new Error(`Could not play ${file.name}`));
+    });
+  }
+
+  // Use a set of still images, played in file name order. If none of them load,
+  // falls back to the webcam and calls onError.
+  useImageSequence(files, onReady, onError) {
+    const imageFiles = Array.from(files)
+      .filter((file) => file.type.startsWith("image/"))
+      .sort(compareFileNames);
+    if (imageFiles.length === 0) {
+      throw new Error("No image files found");
+    }
+
+    this.release();
+    this.type = "images";
+    const loadId = this.loadId;
+
+    // Images that fail to decode are skipped; onReady fires once every file is settled
+    let settled = 0;
+    const loadedImages = new Array(imageFiles.length);
+    const settle = () => {
+      settled++;
+      if (loadId !== this.loadId || settled < imageFiles.length) return;
+
+      const images = loadedImages.filter(Boolean);
+      if (images.length === 0) {
+        this.useWebcam();
+        if (onError) onError(new Error("None of the images could be loaded"));
+        return;
+      }
+
+      // Draw stills into one canvas so the detector always watches the same element
+      this.images = images;
+      this.media = createGraphics(images[0].width, images[0].height);
+      this.media.hide();
+      this.showImage(0);
+      if (onReady) onReady();
+    };
+
+    imageFiles.forEach((file, i) => {
+      const url = URL.createObjectURL(file);
+      this.objectUrls.push(url);
+      loadImage(
+        url,
+        (img) => {
+          loadedImages[i] = img;
+          settle();
+        },
+        () => {
+          console.warn(`Could not load image ${file.name}`);
+          settle();
+        }
+      );
+    });
+  }
+
+  setImageInterval(ms) {
+    this.imageInterval = ms;
+  }
+
+  // Whether the current source has media that can be started
+  isReady() {
+    return this.type === "webcam" || this.media !== null;
+  }
+
+  // Start playback and hand the media to the detector
+  start(detector, callback) {
+    if (!this.isReady()) return false;
+
+    if (this.type === "webcam") {
+      if (!this.media) {
+        this.media = createCapture(VIDEO);
+        // Use standard webcam resolution to avoid aspect ratio issues
+        this.media.size(640, 480);
+        this.media.hide();
+      }
+      this.media.play();
+    } else if (this.type === "video") {
+      this.media.loop();
+    } else {
+      this.lastImageTime = millis();
+    }
+
+    detector.detectStart(this.getDetectionTarget(), callback);
+    this.isActive = true;
+    return true;
+  }
+
+  stop(detector) {
+    if (!this.isActive) return;
+
+    detector.detectStop();
+    if (this.type === "webcam") {
+      this.media.stop();
+    } else if (this.type === "video") {
+      this.media.pause();
+    }
+    this.isActive = false;
+  }
+
+  // Advance the image sequence; call once per draw()
+  update() {
+    if (!this.isActive || this.type !== "images") return;
+
+    if (millis() - this.lastImageTime >= this.imageInterval) {
+      this.showImage((this.imageIndex + 1) % this.images.length);
+      this.lastImageTime = millis();
+    }
+  }
+
+  showImage(index) {
+    this.imageIndex = index;
+    const img = this.images[index];
+    this.media.clear();
+    this.media.image(img, 0, 0, this.media.width, this.media.height);
+  }
+
+  // Free the previous source's media and object URLs
+  release() {
+    this.loadId++;
+    if (this.media) {
+      if (this.type === "webcam") {
+        this.media.stop();
+        const stream = this.media.elt.srcObject;
+        if (stream) stream.getTracks().forEach((track) => track.stop());
+      }
+      this.media.remove();
+    }
+    for (const url of this.objectUrls) URL.revokeObjectURL(url);
+
+    this.media = null;
+    this.objectUrls = [];
+    this.images = [];
+    this.imageIndex = 0;
+    this.isActive = false;
+  }
+
+  getMedia() {
+    return this.media;
+  }
+
+  // ml5 wants the raw canvas for the image sequence buffer
+  getDetectionTarget() {
+    return this.type === "images" ? this.media.elt : this.media;
+  }
+
+  getWidth() {
+    return this.media ? this.media.width : 640;
+  }
+
+  getHeight() {
+    return this.media ? this.media.height : 480;
+  }
+
+  getLabel() {
+    return INPUT_SOURCE_LABELS[this.type];
+  }
+}
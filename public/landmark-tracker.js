@@ -0,0 +1,247 @@
+/*
+ * Hand and Face Landmarks for ImproterAI
+ * Optional ml5 handPose and faceMesh pipelines that run alongside bodyPose on
+ * the same input. Each frame, detected hands and faces are mapped to canvas
+ * space and attached to the nearest body pose (pose.hands.left/right, pose.face),
+ * so their landmarks resolve through findKeypoint() like body keypoints:
+ *
+ *   findKeypoint(pose, "leftIndexFingerTip")   fingertips (thumb, index, middle, ring, pinky)
+ *   findKeypoint(pose, "mouthCenter")          face landmarks (see FACE_LANDMARKS)
+ *
+ * Hands are labelled by the body wrist they attach to, so left/right follow
+ * the performer regardless of mirroring.
+ */
+
+// ml5 handPose keypoint name for each fingertip
+const FINGERTIPS = {
+  thumb: "thumb_tip",
+  index: "index_finger_tip",
+  middle: "middle_finger_tip",
+  ring: "ring_finger_tip",
+  pinky: "pinky_finger_tip",
+};
+
+// Every fingertip as an emitter name ("leftThumbTip", "rightIndexFingerTip", ...)
+const FINGERTIP_KEYPOINTS = ["left", "right"].flatMap((side) =>
+  Object.values(FINGERTIPS).map((name) => side + toPascalCase(name))
+);
+
+// faceMesh landmark indices for named face points
+const FACE_LANDMARKS = {
+  noseTip: 1,
+  forehead: 10,
+  chin: 152,
+  upperLip: 13,
+  lowerLip: 14,
+  mouthCornerLeft: 61,
+  mouthCornerRight: 291,
+  leftEyebrow: 105,
+  rightEyebrow: 334,
+  leftEyeTop: 159,
+  rightEyeTop: 386,
+};
+
+// Face points derived from pairs of landmarks
+const VIRTUAL_FACE_LANDMARKS = {
+  mouthCenter: ["upperLip", "lowerLip"],
+};
+
+// "index_finger_tip" → "IndexFingerTip"
+function toPascalCase(name) {
+  return name.replace(/(^|_)([a-z])/g, (match, separator, c) => c.toUpperCase());
+}
+
+// Resolve a hand or face landmark name on a pose with attached landmarks
+function findLandmark(pose, name) {
+  const handMatch = /^(left|right)([A-Z]\w*)$/.exec(name);
+  if (handMatch && pose.hands && pose.hands[handMatch[1]]) {
+    const snake = toSnakeCase(handMatch[2]).slice(1); // "IndexFingerTip" → "index_finger_tip"
+    const keypoint = pose.hands[handMatch[1]].keypoints.find((k) => k.name === snake);
+    if (keypoint) return keypoint;
+  }
+
+  if (pose.face) {
+    if (VIRTUAL_FACE_LANDMARKS[name]) {
+      const [a, b] = VIRTUAL_FACE_LANDMARKS[name].map((n) => findLandmark(pose, n));
+      return a && b ? { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, confidence: a.confidence } : null;
+    }
+    if (FACE_LANDMARKS[name] !== undefined) {
+      return pose.face.keypoints[FACE_LANDMARKS[name]] || null;
+    }
+  }
+  return null;
+}
+
+class LandmarkTracker {
+  constructor() {
+    this.pipelines = {
+      hands: { model: null, enabled: false, loading: false, results: [] },
+      face: { model: null, enabled: false, loading: false, results: [] },
+    };
+    this.target = null; // Element being detected on, while the input runs
+    this.maxHands = 4;
+    this.maxFaces = 2;
+    this.browBaselines = new Map(); // personId -> resting eyebrow height, for browRaise
+  }
+
+  // Turn a pipeline on or off; the model loads the first time it's enabled
+  setEnabled(kind, enabled, onChange = () => {}) {
+    const pipeline = this.pipelines[kind];
+    pipeline.enabled = enabled;
+
+    if (!enabled) {
+      if (pipeline.model && this.target) pipeline.model.detectStop();
+      pipeline.results = [];
+      onChange();
+      return;
+    }
+
+    if (pipeline.model) {
+      this.startPipeline(kind);
+      onChange();
+      return;
+    }
+
+    pipeline.loading = true;
+    onChange();
+    const model =
+      kind === "hands"
+        ? ml5.handPose({ maxHands: this.maxHands, flipped: false })
+        : ml5.faceMesh({ maxFaces: this.maxFaces, refineLandmarks: false, flipped: false });
+    model.ready
+      .then(() => {
+        pipeline.model = model;
+        if (pipeline.enabled) this.startPipeline(kind);
+      })
+      .catch((err) => {
+        console.error(`Could not load ${kind} model:`, err);
+        pipeline.enabled = false;
+      })
+      .finally(() => {
+        pipeline.loading = false;
+        onChange();
+      });
+  }
+
+  isEnabled(kind) {
+    return this.pipelines[kind].enabled;
+  }
+
+  isLoading(kind) {
+    return this.pipelines[kind].loading;
+  }
+
+  // Detect on the same element as bodyPose
+  start(target) {
+    this.target = target;
+    for (const kind of Object.keys(this.pipelines)) this.startPipeline(kind);
+  }
+
+  stop() {
+    for (const pipeline of Object.values(this.pipelines)) {
+      if (pipeline.model && this.target) pipeline.model.detectStop();
+      pipeline.results = [];
+    }
+    this.target = null;
+  }
+
+  startPipeline(kind) {
+    const pipeline = this.pipelines[kind];
+    if (!pipeline.enabled || !pipeline.model || !this.target) return;
+    pipeline.model.detectStart(this.target, (results) => {
+      pipeline.results = results;
+    });
+  }
+
+  // Map this frame's hands and faces to canvas space and attach them to the
+  // nearest body poses; call after the pose tracker so track IDs are set
+  attach(poses, transform, minConfidence, dt = frameSteps(window)) {
+    for (const pose of poses) {
+      delete pose.hands;
+      delete pose.face;
+    }
+    if (poses.length === 0) return;
+
+    for (const hand of this.pipelines.hands.results) {
+      // handPose scores whole hands; give every keypoint that score
+      const mapped = transform.transformPose({
+        keypoints: hand.keypoints.map((k) => ({ ...k, confidence: hand.confidence })),
+      });
+      this.attachHand(poses, mapped, minConfidence);
+    }
+
+    for (const face of this.pipelines.face.results) {
+      const mapped = transform.transformPose({
+        keypoints: face.keypoints.map((k) => ({ ...k, confidence: 1 })),
+      });
+      this.attachFace(poses, mapped, minConfidence, dt);
+    }
+  }
+
+  // Give the hand to whichever body wrist is closest
+  attachHand(poses, hand, minConfidence) {
+    const handWrist = hand.keypoints.find((k) => k.name === "wrist");
+    if (!handWrist) return;
+
+    let best = null;
+    for (const pose of poses) {
+      for (const side of ["left", "right"]) {
+        const wrist = findKeypoint(pose, `${side}Wrist`, minConfidence);
+        if (!wrist) continue;
+        const d = dist(handWrist.x, handWrist.y, wrist.x, wrist.y);
+        if (!best || d < best.distance) best = { pose, side, distance: d };
+      }
+    }
+    if (!best || best.distance > this.getReach(best.pose, minConfidence)) return;
+
+    best.pose.hands = best.pose.hands || {};
+    best.pose.hands[best.side] = hand;
+  }
+
+  // Give the face to whichever body nose is closest, and measure its expression
+  attachFace(poses, face, minConfidence, dt) {
+    const noseTip = face.keypoints[FACE_LANDMARKS.noseTip];
+    if (!noseTip) return;
+
+    let best = null;
+    for (const pose of poses) {
+      const nose = findKeypoint(pose, "nose", minConfidence);
+      if (!nose) continue;
+      const d = dist(noseTip.x, noseTip.y, nose.x, nose.y);
+      if (!best || d < best.distance) best = { pose, distance: d };
+    }
+    if (!best || best.distance > this.getReach(best.pose, minConfidence)) return;
+
+    best.pose.face = face;
+    face.metrics = this.measureFace(face, best.pose.trackId, dt);
+  }
+
+  // How far a hand or face may be from its body point (one shoulder width)
+  getReach(pose, minConfidence) {
+    const ls = findKeypoint(pose, "leftShoulder", minConfidence);
+    const rs = findKeypoint(pose, "rightShoulder", minConfidence);
+    return ls && rs ? Math.max(dist(ls.x, ls.y, rs.x, rs.y), 40) : 100;
+  }
+
+  // Expression metrics, relative to face height so distance doesn't matter:
+  //   mouthOpen: lip gap / face height (closed ≈ 0, wide open ≈ 0.2+)
+  //   browRaise: eyebrow height above this person's resting height (0 = resting, 0.2 = 20% higher)
+  measureFace(face, personId, dt) {
+    const point = (name) => face.keypoints[FACE_LANDMARKS[name]];
+    const gap = (a, b) => dist(point(a).x, point(a).y, point(b).x, point(b).y);
+    const faceHeight = Math.max(gap("forehead", "chin"), 1);
+
+    const mouthOpen = gap("upperLip", "lowerLip") / faceHeight;
+    const brow = (gap("leftEyebrow", "leftEyeTop") + gap("rightEyebrow", "rightEyeTop")) / 2 / faceHeight;
+
+    // Slowly track the resting brow height so a raise stands out against it
+    const baseline = this.browBaselines.has(personId) ? this.browBaselines.get(personId) : brow;
+    this.browBaselines.set(personId, baseline + (brow - baseline) * lerpFactor(0.01, dt));
+
+    return { mouthOpen, browRaise: brow / baseline - 1 };
+  }
+
+  forgetPerson(personId) {
+    this.browBaselines.delete(personId);
+  }
+}
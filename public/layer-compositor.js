@@ -0,0 +1,82 @@
+/*
+ * Layer Compositor for ImproterAI
+ * The main canvas holds the camera layer; visualizers paint into an offscreen
+ * paint layer that can keep its strokes (with optional fade-out), and the HUD
+ * goes on an overlay layer that is cleared every frame. composite() stacks
+ * paint and overlay on top of the camera.
+ */
+
+class LayerCompositor {
+  constructor(w, h) {
+    this.paint = this.createLayer(w, h);
+    this.overlay = this.createLayer(w, h);
+
+    this.accumulate = false; // Keep strokes between frames instead of repainting
+    this.fadeRate = 0; // Fraction of accumulated paint that fades per second (0 = never)
+    this.showPaint = true;
+  }
+
+  createLayer(w, h) {
+    const layer = createGraphics(w, h);
+    layer.hide();
+    return layer;
+  }
+
+  // Recreate a layer at a new size, scaling its current contents
+  resizeLayer(layer, w, h) {
+    const resized = this.createLayer(w, h);
+    resized.image(layer, 0, 0, w, h);
+    layer.remove();
+    return resized;
+  }
+
+  // Keep layers matched to the main canvas (fullscreen/presentation resize it)
+  matchCanvasSize(w, h) {
+    if (this.paint.width === w && this.paint.height === h) return;
+    this.paint = this.resizeLayer(this.paint, w, h);
+    this.overlay = this.resizeLayer(this.overlay, w, h);
+  }
+
+  setAccumulate(accumulate) {
+    this.accumulate = accumulate;
+  }
+
+  setFadeRate(rate) {
+    this.fadeRate = constrain(rate, 0, 1);
+  }
+
+  // Prepare layers for a new frame; dtMs = real time since the last frame
+  beginFrame(dtMs) {
+    this.overlay.clear();
+
+    if (!this.accumulate) {
+      this.paint.clear();
+    } else if (this.fadeRate > 0) {
+      // Erase a little alpha from everything already painted
+      const amount = 1 - Math.pow(1 - this.fadeRate, dtMs / 1000);
+      const ctx = this.paint.drawingContext;
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalCompositeOperation = "destination-out";
+      ctx.fillStyle = `rgba(0,0,0,${amount.toFixed(4)})`;
+      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+      ctx.restore();
+    }
+  }
+
+  // Wipe accumulated paint
+  clearPaint() {
+    this.paint.clear();
+  }
+
+  // Draw paint and overlay over whatever is already on the main canvas (the camera layer)
+  composite() {
+    if (this.showPaint) image(this.paint, 0, 0, width, height);
+    image(this.overlay, 0, 0, width, height);
+  }
+
+  // Download the paint layer alone as a PNG with a transparent background
+  savePaint(filename = "pose-artwork") {
+    save(this.paint, `${filename}.png`);
+  }
+}
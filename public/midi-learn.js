@@ -0,0 +1,195 @@
+/*
+ * MIDI Learn for ImproterAI
+ * Drives the page's controls from a hardware MIDI controller. In learn mode,
+ * click a control and then move a fader, turn a knob or hit a pad to bind it.
+ * Bindings are stored in localStorage by element id, so any control with an
+ * id can be learned, and they survive reloads:
+ *
+ *   { "cc:1:7": "paint-size", "note:1:36": "paint-mode" }
+ *
+ * How a message drives each kind of control:
+ *   slider    CC sweeps min..max
+ *   checkbox  note toggles, CC on at 64 and above
+ *   select    CC picks an option across its range, note steps to the next one
+ *   color     CC sweeps the hue
+ *   button    note or CC 64 and above clicks it
+ */
+
+const MIDI_LEARN_STORAGE_KEY = "improterai-midi-learn";
+const MIDI_LEARNABLE_SELECTOR =
+  'input[type="range"], input[type="checkbox"], input[type="color"], select, button';
+
+// Parse a raw MIDI message into { key, type, value } ("cc" or "note"; note off is velocity 0)
+function parseMidiMessage(data) {
+  const status = data[0] & 0xf0;
+  const channel = (data[0] & 0x0f) + 1;
+  if (status === 0xb0) {
+    return { key: `cc:${channel}:${data[1]}`, type: "cc", value: data[2] };
+  }
+  if (status === 0x90 || status === 0x80) {
+    const velocity = status === 0x90 ? data[2] : 0;
+    return { key: `note:${channel}:${data[1]}`, type: "note", value: velocity };
+  }
+  return null;
+}
+
+// "cc:1:7" → "CC 7 (ch 1)"
+function describeMidiKey(key) {
+  const [type, channel, number] = key.split(":");
+  return `${type === "cc" ? "CC" : "Note"} ${number} (ch ${channel})`;
+}
+
+class MidiLearn {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.access = null;
+    this.bindings = {}; // MIDI key -> control id
+    this.learning = false;
+    this.armedId = null; // Control waiting for its MIDI message
+    this.lastValues = new Map(); // MIDI key -> last value, for CC buttons and toggles
+    this.settleTimers = new Map(); // Control id -> timer for its trailing change event
+    this.onChange = () => {}; // Called when learning state or bindings change
+    this.load();
+  }
+
+  isSupported() {
+    return typeof navigator.requestMIDIAccess === "function";
+  }
+
+  // Listen on every MIDI input, including ones plugged in later
+  connect() {
+    if (this.access) return Promise.resolve();
+    if (!this.isSupported()) {
+      return Promise.reject(new Error("Web MIDI is not supported in this browser"));
+    }
+    return navigator.requestMIDIAccess().then((access) => {
+      this.access = access;
+      this.attachInputs();
+      access.addEventListener("statechange", () => this.attachInputs());
+    });
+  }
+
+  attachInputs() {
+    for (const input of this.access.inputs.values()) {
+      input.onmidimessage = (e) => this.handleMessage(e.data);
+    }
+  }
+
+  load() {
+    try {
+      this.bindings = JSON.parse(this.storage.getItem(MIDI_LEARN_STORAGE_KEY)) || {};
+    } catch (err) {
+      console.warn("Could not read MIDI bindings:", err);
+    }
+  }
+
+  save() {
+    try {
+      this.storage.setItem(MIDI_LEARN_STORAGE_KEY, JSON.stringify(this.bindings));
+    } catch (err) {
+      console.warn("Could not save MIDI bindings:", err);
+    }
+  }
+
+  setLearning(learning) {
+    this.learning = learning;
+    this.armedId = null;
+    this.onChange();
+  }
+
+  // The next MIDI message binds to this control
+  arm(id) {
+    this.armedId = id;
+    this.onChange();
+  }
+
+  // A control has one binding; learning it again replaces the old one
+  bind(key, id) {
+    this.unbind(id);
+    this.bindings[key] = id;
+    this.save();
+  }
+
+  unbind(id) {
+    for (const [key, boundId] of Object.entries(this.bindings)) {
+      if (boundId === id) delete this.bindings[key];
+    }
+    this.save();
+  }
+
+  clear() {
+    this.bindings = {};
+    this.save();
+    this.onChange();
+  }
+
+  getBinding(id) {
+    return Object.keys(this.bindings).find((key) => this.bindings[key] === id) || null;
+  }
+
+  handleMessage(data) {
+    const message = parseMidiMessage(data);
+    if (!message) return;
+
+    // Bind on a fader move or a key/pad press (not on its release)
+    if (this.armedId && (message.type === "cc" || message.value > 0)) {
+      this.bind(message.key, this.armedId);
+      this.armedId = null;
+      this.onChange();
+      return;
+    }
+
+    const id = this.bindings[message.key];
+    const control = id && document.getElementById(id);
+    if (control) this.drive(control, message);
+    this.lastValues.set(message.key, message.value);
+  }
+
+  // Apply a message to a control the same way a user would, firing its events
+  drive(control, { key, type, value }) {
+    const pressed = type === "note" ? value > 0 : value >= 64 && !(this.lastValues.get(key) >= 64);
+
+    if (control.tagName === "BUTTON") {
+      if (pressed && !control.disabled) control.click();
+    } else if (control.tagName === "SELECT") {
+      const options = Array.from(control.options);
+      const index =
+        type === "cc"
+          ? Math.min(Math.floor((value / 128) * options.length), options.length - 1)
+          : pressed
+            ? (control.selectedIndex + 1) % options.length
+            : control.selectedIndex;
+      if (index !== control.selectedIndex) {
+        control.selectedIndex = index;
+        control.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+    } else if (control.type === "checkbox") {
+      const checked = type === "cc" ? value >= 64 : pressed ? !control.checked : control.checked;
+      if (checked !== control.checked) {
+        control.checked = checked;
+        control.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+    } else if (control.type === "color" && type === "cc") {
+      const rgb = hsv2rgb((value / 128) * 360, 1, 1).match(/\d+/g); // "rgb(r,g,b)"
+      control.value = "#" + rgb.map((v) => parseInt(v).toString(16).padStart(2, "0")).join("");
+      control.dispatchEvent(new Event("change"));
+      this.settle(control);
+    } else if (control.type === "range" && type === "cc") {
+      const min = parseFloat(control.min);
+      const max = parseFloat(control.max);
+      control.value = min + (value / 127) * (max - min); // The input snaps to its step
+      control.dispatchEvent(new Event("input"));
+      this.settle(control);
+    }
+  }
+
+  // Like letting go of a slider: one bubbling change event (which autosaves)
+  // once the knob or fader rests
+  settle(control) {
+    clearTimeout(this.settleTimers.get(control.id));
+    this.settleTimers.set(
+      control.id,
+      setTimeout(() => control.dispatchEvent(new Event("change", { bubbles: true })), 300)
+    );
+  }
+}
@@ -0,0 +1,259 @@
+/*
+ * Paint Mode Registry for ImproterAI
+ * Every paint mode is a self-contained object registered by id. The Paint Mode
+ * menu, each mode's controls, the frame loop and the HUD stats all come from
+ * the registry, so a new mode is one register() call - here, or in a script
+ * loaded after this one:
+ *
+ *   paintModes.register({
+ *     id: "rain",
+ *     label: "Rain",
+ *     params: [
+ *       { key: "dropSize", label: "Drop Size", type: "range", min: 1, max: 20, default: 4, unit: "px" },
+ *     ],
+ *     init(ctx) {},                  // once the sketch is running (ctx below)
+ *     update(poses, dt, fading) {},  // every frame the mode is shown; fading = crossfading out
+ *     draw(layer) {},                // paint onto the paint layer
+ *     clear() {},                    // Clear button: drop everything drawn so far
+ *     forgetPerson(personId) {},     // a tracked person left
+ *     setParam(key, value) {},       // a control changed (values are also in this.values)
+ *     stats() { return "Drops: 12"; },  // HUD line for performance monitoring
+ *   });
+ *
+ * Only id, label, update and draw are required. ctx holds the p5 instance (p),
+ * the shared systems (visualizer, particles, smoke, gestures, audio) and the
+ * current connections and minConfidence. dt is in 60 fps frames.
+ *
+ * Param types: "range" (min, max, step, unit), "checkbox", "color" and
+ * "select" (options: [{ value, label }]). An optional format(value) returns the
+ * readout text in place of the value and unit. The app builds, shows and hides the
+ * controls from these declarations. Keys are also setting names (presets, show
+ * scene params, the remote page), so they must be unique across modes.
+ */
+
+const PAINT_MODE_PARAM_TYPES = ["range", "checkbox", "color", "select"];
+
+class PaintModeRegistry {
+  constructor() {
+    this.modes = new Map();
+    this.context = null; // Set by setup(); modes registered after that start right away
+    this.listeners = [];
+  }
+
+  // Add a mode (or replace one with the same id); returns the registered mode
+  register(definition) {
+    const { id, label } = definition;
+    if (!id || !label) {
+      throw new Error("A paint mode needs an id and a label");
+    }
+    for (const hook of ["update", "draw"]) {
+      if (typeof definition[hook] !== "function") {
+        throw new Error(`Paint mode "${id}" needs ${hook}()`);
+      }
+    }
+    for (const param of definition.params || []) {
+      if (!param.key || !PAINT_MODE_PARAM_TYPES.includes(param.type)) {
+        throw new Error(`Paint mode "${id}" has an invalid param: ${JSON.stringify(param)}`);
+      }
+      const owner = this.findParamMode(param.key);
+      if (owner && owner.id !== id) {
+        throw new Error(`Paint mode "${id}" param ${param.key} is already used by "${owner.id}"`);
+      }
+    }
+
+    const mode = {
+      params: [],
+      hidden: false, // Not offered in the Paint Mode menu (reached from show scripts or keys)
+      init() {},
+      clear() {},
+      forgetPerson() {},
+      setParam() {},
+      stats() {
+        return null;
+      },
+      ...definition,
+    };
+    mode.values = Object.fromEntries(mode.params.map((param) => [param.key, param.default]));
+    this.modes.set(id, mode);
+
+    if (this.context) {
+      this.start(mode);
+    }
+    for (const callback of this.listeners) {
+      callback(mode);
+    }
+    return mode;
+  }
+
+  // Hand the mode its context and current param values
+  start(mode) {
+    mode.init(this.context);
+    for (const [key, value] of Object.entries(mode.values)) {
+      mode.setParam(key, value);
+    }
+  }
+
+  setContext(context) {
+    this.context = context;
+    for (const mode of this.modes.values()) {
+      this.start(mode);
+    }
+  }
+
+  // Called with each mode registered from now on
+  onRegister(callback) {
+    this.listeners.push(callback);
+  }
+
+  get(id) {
+    return this.modes.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.modes.values());
+  }
+
+  // The mode declaring a param key, or null
+  findParamMode(key) {
+    for (const mode of this.modes.values()) {
+      if (mode.params.some((param) => param.key === key)) return mode;
+    }
+    return null;
+  }
+
+  setParam(id, key, value) {
+    const mode = this.get(id);
+    if (!mode || !mode.params.some((param) => param.key === key)) {
+      console.warn(`Unknown param for paint mode ${id}: ${key}`);
+      return;
+    }
+    mode.values[key] = value;
+    if (this.context) {
+      mode.setParam(key, value);
+    }
+  }
+
+  clearAll() {
+    for (const mode of this.modes.values()) {
+      mode.clear();
+    }
+  }
+
+  forgetPerson(personId) {
+    for (const mode of this.modes.values()) {
+      mode.forgetPerson(personId);
+    }
+  }
+}
+
+// Keypoints, skeleton, trails, circles, fireworks and the 3D skeleton are drawn by
+// the pose visualizer, which advances and draws in one pass - update() keeps the
+// frame for draw(). Drawing a mode other than the visualizer's current one gives a
+// ghost that doesn't advance trails or movement tracking.
+function createVisualizerMode(id, label, options = {}) {
+  return {
+    id,
+    label,
+    ...options,
+    init(ctx) {
+      this.ctx = ctx;
+      this.poses = [];
+      this.dt = 1;
+    },
+    update(poses, dt) {
+      this.poses = poses;
+      this.dt = dt;
+    },
+    draw(layer) {
+      if (this.poses.length === 0) return;
+      const { visualizer, connections, minConfidence } = this.ctx;
+      visualizer.visualize(layer, this.poses, connections, minConfidence, this.dt, id);
+    },
+  };
+}
+
+// Modes that expose a system's params (PARTICLE_PARAMS, SMOKE_PARAMS) apply them
+// through the declaration's apply()
+function applySystemParam(params, system, key, value) {
+  params.find((param) => param.key === key).apply(system, value);
+}
+
+const paintModes = new PaintModeRegistry();
+
+// Built-in modes, in menu order. The sketch clears the shared systems itself
+// (they're used outside paint modes too), so these have no clear() or forgetPerson().
+paintModes.register(createVisualizerMode("keypoints", "Keypoints Only"));
+paintModes.register(createVisualizerMode("skeleton", "Skeleton Lines"));
+paintModes.register(createVisualizerMode("trails", "Pose Trails"));
+paintModes.register(createVisualizerMode("circles", "Growing Circles"));
+
+// Reached with Space from circles mode, or from show scripts
+paintModes.register(
+  createVisualizerMode("fireworks", "Fireworks", {
+    hidden: true,
+    stats() {
+      return `Fireworks: ${this.ctx.visualizer.fireworks.fireworks.length}`;
+    },
+  })
+);
+
+paintModes.register({
+  id: "particles",
+  label: "Particle System",
+  params: PARTICLE_PARAMS,
+  init(ctx) {
+    this.ctx = ctx;
+  },
+  setParam(key, value) {
+    applySystemParam(PARTICLE_PARAMS, this.ctx.particles, key, value);
+  },
+  update(poses, dt, fading) {
+    const { particles, connections, minConfidence } = this.ctx;
+    // While fading out, existing particles keep moving but no new ones are emitted
+    if (!fading) {
+      for (const pose of poses) {
+        particles.emitFromPose(pose, connections, minConfidence);
+      }
+    }
+    particles.update(dt);
+  },
+  draw(layer) {
+    this.ctx.particles.draw(layer);
+  },
+  stats() {
+    return `Particles: ${this.ctx.particles.getTotalParticles()}`;
+  },
+});
+
+paintModes.register({
+  id: "smoke",
+  label: "Smoke System",
+  params: SMOKE_PARAMS,
+  init(ctx) {
+    this.ctx = ctx;
+  },
+  setParam(key, value) {
+    applySystemParam(SMOKE_PARAMS, this.ctx.smoke, key, value);
+  },
+  update(poses, dt, fading) {
+    const { p, smoke, minConfidence } = this.ctx;
+    if (!fading) {
+      for (const pose of poses) {
+        smoke.emitFromPose(pose, minConfidence, dt);
+      }
+
+      // Mouse position blows the smoke sideways (like the reference code)
+      const dx = p.map(p.constrain(p.mouseX, 0, p.width), 0, p.width, -0.2, 0.2);
+      smoke.applyForce(p.createVector(dx, 0));
+    }
+    smoke.update(dt);
+  },
+  draw(layer) {
+    this.ctx.smoke.draw(layer);
+  },
+  stats() {
+    return `Smoke: ${this.ctx.smoke.getTotalParticles()}`;
+  },
+});
+
+paintModes.register(createVisualizerMode("skeleton3d", "3D Skeleton (BlazePose)"));
@@ -38,7 +38,8 @@ function hsv2rgb(h, s, v) {
 
 // Optimized Particle class with Perlin noise movement
 class Particle {
-  constructor() {
+  constructor(p) {
+    this.p = p; // p5 instance
     this.reset();
   }
 
@@ -54,9 +55,11 @@ class Particle {
     this.noiseOffsetY = 0;
     this.noiseScale = 0.01;
     this.noiseStrength = 0.5;
+    this.noiseVariation = 1;
   }
 
-  init(x, y, vx, vy, size) {
+  // noiseStrength = the emitter's average; each particle gets 0.6-2x of it
+  init(x, y, vx, vy, size, noiseStrength = 0.5) {
     this.x = x;
     this.y = y;
     this.vx = vx;
@@ -66,78 +69,87 @@ class Particle {
     this.active = true;
 
     // Initialize Perlin noise offsets with random values
-    this.noiseOffsetX = random(1000);
-    this.noiseOffsetY = random(1000);
+    this.noiseOffsetX = this.p.random(1000);
+    this.noiseOffsetY = this.p.random(1000);
 
     // Randomize noise parameters for variety
-    this.noiseScale = random(0.005, 0.02);
-    this.noiseStrength = random(0.3, 1.0);
+    this.noiseScale = this.p.random(0.005, 0.02);
+    this.noiseVariation = this.p.random(0.6, 2.0);
+    this.noiseStrength = noiseStrength * this.noiseVariation;
   }
 
-  update() {
+  // dt = elapsed time in 60 fps frames (see frame-clock.js)
+  update(dt = 1) {
     if (!this.active) return;
 
     // Apply Perlin noise to create organic movement
-    const noiseX = noise(this.noiseOffsetX) - 0.5;
-    const noiseY = noise(this.noiseOffsetY) - 0.5;
+    const noiseX = this.p.noise(this.noiseOffsetX) - 0.5;
+    const noiseY = this.p.noise(this.noiseOffsetY) - 0.5;
 
     // Update noise offsets for next frame
-    this.noiseOffsetX += this.noiseScale;
-    this.noiseOffsetY += this.noiseScale;
+    this.noiseOffsetX += this.noiseScale * dt;
+    this.noiseOffsetY += this.noiseScale * dt;
 
     // Apply noise force to velocity
-    this.vx += noiseX * this.noiseStrength;
-    this.vy += noiseY * this.noiseStrength;
+    this.vx += noiseX * this.noiseStrength * dt;
+    this.vy += noiseY * this.noiseStrength * dt;
 
     // Update position
-    this.x += this.vx;
-    this.y += this.vy;
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
 
     // Apply friction (slower for longer trails)
-    this.vx *= 0.995;
-    this.vy *= 0.995;
+    const friction = decayFactor(0.995, dt);
+    this.vx *= friction;
+    this.vy *= friction;
 
     // Decay life (much slower for painting effect)
-    this.life -= 0.003;
+    this.life -= 0.003 * dt;
 
     if (this.life <= 0) {
       this.active = false;
     }
   }
 
-  draw() {
+  draw(g) {
     if (!this.active) return;
 
-    push();
-    noStroke();
+    g.push();
+    g.noStroke();
 
     // Add some transparency based on life
     const alpha = this.life * 255;
-    fill(red(this.color), green(this.color), blue(this.color), alpha);
+    const p = this.p;
+    g.fill(p.red(this.color), p.green(this.color), p.blue(this.color), alpha);
 
-    circle(this.x, this.y, this.size * this.life);
-    pop();
+    g.circle(this.x, this.y, this.size * this.life);
+    g.pop();
   }
 }
 
 // Optimized Particle Emitter with burst emission
 class ParticleEmitter {
-  constructor(color, maxParticles = 200) {
+  constructor(p, color, maxParticles = 200) {
+    this.p = p; // p5 instance
     this.color = color;
     this.maxParticles = maxParticles;
     this.particles = [];
     this.particlePool = [];
     this.baseSize = 3; // Default particle size
+    this.noiseStrength = 0.5; // Average noise force on new particles
 
-    // Burst emission properties for painting effect
-    this.lastEmissionTime = 0;
+    // Painting strokes come often and small; full bursts come less often and bigger
+    this.lastEmissionTimes = new Map(); // Per person (track ID), so people don't starve each other
+    this.lastBurstTimes = new Map();
     this.emissionInterval = 100; // Much more frequent emission for painting
-    this.burstSize = 3; // Fewer particles per burst for smoother painting
+    this.strokeSize = 3; // Fewer particles per stroke for smoother painting
+    this.burstInterval = 2000; // ms between full bursts
+    this.burstSize = 8;
     this.minParticlesForNewBurst = 1; // Emit more frequently
 
     // Pre-create particle pool
     for (let i = 0; i < maxParticles; i++) {
-      this.particlePool.push(new Particle());
+      this.particlePool.push(new Particle(p));
     }
   }
 
@@ -157,24 +169,31 @@ class ParticleEmitter {
     return null;
   }
 
-  emit(x, y, intensity = 1) {
-    const currentTime = millis();
+  // rate scales how often bursts come (2 = twice as often)
+  emit(x, y, intensity = 1, personId = 0, rate = 1) {
+    const currentTime = this.p.millis();
     const activeParticleCount = this.particles.filter((p) => p.active).length;
 
-    // Check if we should emit a new burst
-    const timeSinceLastEmission = currentTime - this.lastEmissionTime;
+    // Check if a full burst or a painting stroke is due
+    const timeSinceLastBurst = currentTime - (this.lastBurstTimes.get(personId) || 0);
+    const timeSinceLastEmission = currentTime - (this.lastEmissionTimes.get(personId) || 0);
     const shouldEmit =
-      timeSinceLastEmission > this.emissionInterval ||
+      timeSinceLastEmission * rate > this.emissionInterval ||
       activeParticleCount <= this.minParticlesForNewBurst;
 
-    if (shouldEmit) {
+    if (timeSinceLastBurst * rate > this.burstInterval) {
+      this.emitBurst(x, y, intensity, this.burstSize);
+      this.lastBurstTimes.set(personId, currentTime);
+      this.lastEmissionTimes.set(personId, currentTime);
+    } else if (shouldEmit) {
       this.emitBurst(x, y, intensity);
-      this.lastEmissionTime = currentTime;
+      this.lastEmissionTimes.set(personId, currentTime);
     }
   }
 
-  emitBurst(x, y, intensity = 1) {
-    const numParticles = Math.min(this.burstSize, 2 + Math.floor(intensity * 4));
+  // maxParticles = stroke size by default; low-confidence keypoints emit fewer
+  emitBurst(x, y, intensity = 1, maxParticles = this.strokeSize) {
+    const numParticles = Math.min(maxParticles, 2 + Math.floor(intensity * 4));
 
     for (let i = 0; i < numParticles; i++) {
       const particle = this.getParticle();
@@ -187,7 +206,8 @@ class ParticleEmitter {
           y,
           (Math.random() - 0.5) * 1, // Gentler initial velocity for painting
           (Math.random() - 0.5) * 1,
-          this.baseSize + Math.random() * this.baseSize * 0.5 // Configurable particle size
+          this.baseSize + Math.random() * this.baseSize * 0.5, // Configurable particle size
+          this.noiseStrength
         );
 
         if (!this.particles.includes(particle)) {
@@ -197,11 +217,11 @@ class ParticleEmitter {
     }
   }
 
-  update() {
+  update(dt = 1) {
     // Update all active particles
     for (let i = this.particles.length - 1; i >= 0; i--) {
       const particle = this.particles[i];
-      particle.update();
+      particle.update(dt);
 
       // Remove inactive particles
       if (!particle.active) {
@@ -210,16 +230,16 @@ class ParticleEmitter {
     }
   }
 
-  draw() {
-    push();
-    fill(this.color);
+  draw(g) {
+    g.push();
+    g.fill(this.color);
 
     // Draw all active particles
     for (let particle of this.particles) {
-      particle.draw();
+      particle.draw(g);
     }
 
-    pop();
+    g.pop();
   }
 
   clear() {
@@ -227,85 +247,179 @@ class ParticleEmitter {
       particle.active = false;
     }
     this.particles = [];
+    this.lastEmissionTimes.clear();
+    this.lastBurstTimes.clear();
   }
 
-  // Configure burst parameters
+  // Configure full bursts (painting strokes follow emissionInterval)
   setBurstParameters(interval, burstSize, minParticles) {
-    this.emissionInterval = interval;
+    this.burstInterval = interval;
     this.burstSize = burstSize;
     this.minParticlesForNewBurst = minParticles;
   }
+
+  // New particles use the new strength; live ones are rescaled, keeping their variation
+  setNoiseStrength(strength) {
+    this.noiseStrength = strength;
+    for (let particle of this.particles) {
+      particle.noiseStrength = strength * particle.noiseVariation;
+    }
+  }
 }
 
 // Particle System Manager
+// Default painting keypoints: nose and both wrists
+const PARTICLE_EMITTER_KEYPOINTS = ["nose", "leftWrist", "rightWrist"];
+
+// Tunable parameters; the app builds the particle mode's controls from these
+// (see paint-modes.js). Keys are also the setting names in presets and show scripts.
+const PARTICLE_PARAMS = [
+  {
+    key: "noiseStrength",
+    label: "Noise Strength",
+    type: "range",
+    min: 0,
+    max: 200,
+    default: 50,
+    unit: "%",
+    apply: (system, value) => system.setNoiseStrength(value / 100),
+  },
+  {
+    key: "burstTiming",
+    label: "Burst Timing",
+    type: "range",
+    min: 500,
+    max: 5000,
+    default: 2000,
+    unit: "ms",
+    format: (value) => `${(value / 1000).toFixed(1)}s`,
+    apply: (system, value) => system.setBurstParameters(value, 8, 2), // interval, burstSize, minParticles
+  },
+  {
+    key: "paintingIntensity",
+    label: "Painting Intensity",
+    type: "range",
+    min: 50,
+    max: 500,
+    default: 100,
+    unit: "ms",
+    apply: (system, value) => system.setPaintingIntensity(value),
+  },
+  {
+    key: "particleCount",
+    label: "Particle Count",
+    type: "range",
+    min: 10,
+    max: 1000,
+    default: 100,
+    unit: "",
+    apply: (system, value) => system.setParticleCount(value),
+  },
+  {
+    key: "particleSize",
+    label: "Particle Size",
+    type: "range",
+    min: 1,
+    max: 20,
+    default: 3,
+    unit: "px",
+    apply: (system, value) => system.setParticleSize(value),
+  },
+];
+
 class ParticleSystem {
-  constructor() {
+  constructor(p) {
+    this.p = p; // p5 instance
     this.emitters = [];
-    this.maxEmitters = 3; // One for each painting keypoint (nose, leftWrist, rightWrist)
+    this.emitterKeypoints = PARTICLE_EMITTER_KEYPOINTS; // Painting keypoints, by name
+    this.maxEmitters = this.emitterKeypoints.length; // One emitter per painting keypoint
     this.initialized = false;
     this.keypointColors = [];
     this.particleCount = 100; // Current max particles per emitter
     this.particleSize = 3; // Current base particle size
+    this.noiseStrength = 0.5; // Average noise force on particles
+    this.emitterSettings = {}; // Burst and stroke timing set so far, handed to emitters built later
+    this.audio = null; // Audio analyzer; treble speeds up emission
+  }
+
+  setAudioAnalyzer(analyzer) {
+    this.audio = analyzer;
   }
 
   initialize() {
     if (this.initialized) return;
 
     this.emitters = [];
-    this.keypointColors = [];
-
-    // Create emitters for painting keypoints with distinct colors
-    const paintingColors = [
-      hsv2rgb(0, 0.9, 1.0), // Red for nose
-      hsv2rgb(120, 0.9, 1.0), // Green for left wrist
-      hsv2rgb(240, 0.9, 1.0), // Blue for right wrist
-    ];
+    this.resizeEmitters();
+    this.initialized = true;
+  }
 
+  // One emitter per painting keypoint, with distinct colors spread around the hue
+  // wheel (red, green, blue for the default nose and wrists). Emitters that remain
+  // are recolored for the new count but keep their live particles.
+  resizeEmitters() {
+    this.emitters.length = Math.min(this.emitters.length, this.maxEmitters);
+    this.keypointColors = [];
     for (let i = 0; i < this.maxEmitters; i++) {
-      const color = paintingColors[i];
+      const color = hsv2rgb((i * 360) / this.maxEmitters, 0.9, 1.0);
       this.keypointColors.push(color);
-      const emitter = new ParticleEmitter(color, this.particleCount);
+      if (i < this.emitters.length) {
+        this.emitters[i].color = color;
+        continue;
+      }
+
+      const emitter = new ParticleEmitter(this.p, color, this.particleCount);
       emitter.baseSize = this.particleSize;
+      emitter.noiseStrength = this.noiseStrength;
+      Object.assign(emitter, this.emitterSettings);
       this.emitters.push(emitter);
     }
-
-    this.initialized = true;
   }
 
   emitFromPose(pose, connections, minConfidence = 0.1) {
     if (!this.initialized) this.initialize();
 
-    // Define keypoints for painting effect: nose (0), leftWrist (9), rightWrist (10)
-    const paintingKeypoints = [0, 9, 10]; // nose, leftWrist, rightWrist
+    // Keypoints for painting effect (by name, so any pose model works)
+    const paintingKeypoints = this.emitterKeypoints;
+    const personId = pose.trackId !== undefined ? pose.trackId : 0;
+    const rate = this.audio !== null ? this.audio.getBoost("treble") : 1;
 
     for (let i = 0; i < paintingKeypoints.length; i++) {
-      const keypointIndex = paintingKeypoints[i];
-      const keypoint = pose.keypoints[keypointIndex];
+      const keypoint = findKeypoint(pose, paintingKeypoints[i], minConfidence);
 
-      if (keypoint && keypoint.confidence > minConfidence) {
+      if (keypoint) {
         // Use different emitters for different keypoints
         const emitterIndex = i % this.emitters.length;
         const intensity = keypoint.confidence * 1.2;
 
         // Emit more frequently for continuous painting effect
-        this.emitters[emitterIndex].emit(keypoint.x, keypoint.y, intensity);
+        this.emitters[emitterIndex].emit(keypoint.x, keypoint.y, intensity, personId, rate);
       }
     }
   }
 
-  update() {
+  // Paint from other keypoints (e.g. fingertips); extra emitters are added or
+  // dropped at the end
+  setEmitterKeypoints(names) {
+    this.emitterKeypoints = names;
+    this.maxEmitters = names.length;
+    if (this.initialized) this.resizeEmitters();
+  }
+
+  update(dt = frameSteps(this.p)) {
     if (!this.initialized) return;
 
     for (let emitter of this.emitters) {
-      emitter.update();
+      emitter.update(dt);
     }
   }
 
-  draw() {
+  // g = layer to draw on (p5.Graphics)
+  draw(g) {
     if (!this.initialized) return;
 
     for (let emitter of this.emitters) {
-      emitter.draw();
+      emitter.draw(g);
     }
   }
 
@@ -317,6 +431,14 @@ class ParticleSystem {
     }
   }
 
+  // Drop emission timing for a person who has left the scene (their particles fade out)
+  forgetPerson(personId) {
+    for (let emitter of this.emitters) {
+      emitter.lastEmissionTimes.delete(personId);
+      emitter.lastBurstTimes.delete(personId);
+    }
+  }
+
   // Performance monitoring
   getTotalParticles() {
     if (!this.initialized) return 0;
@@ -328,23 +450,21 @@ class ParticleSystem {
     return total;
   }
 
-  // Set noise strength for all particles
+  // Set noise strength for all particles, including ones emitted later
   setNoiseStrength(strength) {
-    if (!this.initialized) return;
-
+    this.noiseStrength = strength;
     for (let emitter of this.emitters) {
-      for (let particle of emitter.particles) {
-        if (particle.active) {
-          particle.noiseStrength = strength;
-        }
-      }
+      emitter.setNoiseStrength(strength);
     }
   }
 
-  // Configure burst parameters for all emitters
+  // Configure burst parameters for all emitters (kept for emitters built later)
   setBurstParameters(interval, burstSize, minParticles) {
-    if (!this.initialized) return;
-
+    Object.assign(this.emitterSettings, {
+      burstInterval: interval,
+      burstSize,
+      minParticlesForNewBurst: minParticles,
+    });
     for (let emitter of this.emitters) {
       emitter.setBurstParameters(interval, burstSize, minParticles);
     }
@@ -352,6 +472,7 @@ class ParticleSystem {
 
   // Set painting intensity (emission frequency for painting effect)
   setPaintingIntensity(intensity) {
+    this.emitterSettings.emissionInterval = intensity;
     for (let emitter of this.emitters) {
       emitter.emissionInterval = intensity;
     }
@@ -360,8 +481,9 @@ class ParticleSystem {
   // Set particle count (max particles per emitter)
   setParticleCount(count) {
     this.particleCount = count;
-    // Reinitialize emitters with new particle count
+    // Rebuild the emitters with the new pool size (their particles start over)
     if (this.initialized) {
+      this.initialized = false;
       this.initialize();
     }
   }
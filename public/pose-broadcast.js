@@ -0,0 +1,170 @@
+/*
+ * Pose Broadcast for ImproterAI
+ * Shares live poses between instances through the local WebSocket server
+ * (scripts/pose-server.js). The instance with the camera publishes every
+ * bodyPose result; viewers on other screens render them with their own paint
+ * mode and framing, without running a model.
+ *
+ * Message format (JSON text):
+ *   {
+ *     "type": "poses",
+ *     "sourceWidth": 640, "sourceHeight": 480,   // aspect of the publisher's video
+ *     "poses": [ ...serializePose() output with x/y normalized to 0..1 ]
+ *   }
+ */
+
+const DEFAULT_POSE_SERVER_URL = "ws://localhost:8082";
+const POSE_BROADCAST_STALE_MS = 1000; // Viewers drop poses this old (publisher gone)
+const POSE_BROADCAST_RETRY_MS = 2000; // Reconnect delay after the server goes away
+
+// serializePose() with keypoints scaled from source pixels to 0..1
+function normalizePose(pose, sourceWidth, sourceHeight) {
+  const serialized = serializePose(pose);
+  for (const keypoint of serialized.keypoints) {
+    keypoint.x /= sourceWidth;
+    keypoint.y /= sourceHeight;
+  }
+  return serialized;
+}
+
+function denormalizePose(pose, sourceWidth, sourceHeight) {
+  return {
+    ...pose,
+    keypoints: pose.keypoints.map((keypoint) => ({
+      ...keypoint,
+      x: keypoint.x * sourceWidth,
+      y: keypoint.y * sourceHeight,
+    })),
+  };
+}
+
+// Whether a received message is a poses frame viewers can render. The server relays
+// frames unchanged, so one bad publisher must not break every viewer's draw().
+function isValidPoseFrame(message) {
+  const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+  return (
+    message !== null &&
+    typeof message === "object" &&
+    message.type === "poses" &&
+    isNumber(message.sourceWidth) &&
+    isNumber(message.sourceHeight) &&
+    Array.isArray(message.poses) &&
+    message.poses.every(
+      (pose) =>
+        pose !== null &&
+        typeof pose === "object" &&
+        Array.isArray(pose.keypoints) &&
+        pose.keypoints.every((keypoint) => keypoint !== null && isNumber(keypoint.x) && isNumber(keypoint.y))
+    )
+  );
+}
+
+class PoseBroadcast {
+  constructor() {
+    this.role = "off"; // "off", "publish" or "view"
+    this.url = DEFAULT_POSE_SERVER_URL;
+    this.socket = null;
+    this.status = "off"; // "off", "connecting", "open" or "retrying"
+    this.retryTimer = null;
+    this.onStatusChange = () => {};
+
+    // Latest frame received as a viewer
+    this.latest = null;
+    this.receivedAt = 0;
+  }
+
+  isPublishing() {
+    return this.role === "publish";
+  }
+
+  isViewing() {
+    return this.role === "view";
+  }
+
+  // Join the server as a publisher or viewer; "off" disconnects
+  setRole(role, url = this.url) {
+    this.disconnect();
+    this.role = role;
+    this.url = url;
+    if (role !== "off") this.connect();
+    this.onStatusChange();
+  }
+
+  connect() {
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+    this.status = "connecting";
+
+    socket.addEventListener("open", () => {
+      if (this.socket !== socket) return;
+      this.status = "open";
+      this.onStatusChange();
+    });
+    socket.addEventListener("message", (e) => {
+      if (this.socket === socket && this.isViewing()) this.receive(e.data);
+    });
+    // Keep retrying while a role is set, so screens recover when the server restarts
+    socket.addEventListener("close", () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.status = "retrying";
+      this.retryTimer = setTimeout(() => this.connect(), POSE_BROADCAST_RETRY_MS);
+      this.onStatusChange();
+    });
+  }
+
+  disconnect() {
+    clearTimeout(this.retryTimer);
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.status = "off";
+    this.role = "off";
+    this.latest = null;
+  }
+
+  // Send one bodyPose result (keypoints in source video pixels)
+  publish(results, sourceWidth, sourceHeight) {
+    if (!this.isPublishing() || this.status !== "open") return;
+    this.socket.send(
+      JSON.stringify({
+        type: "poses",
+        sourceWidth,
+        sourceHeight,
+        poses: results.map((pose) => normalizePose(pose, sourceWidth, sourceHeight)),
+      })
+    );
+  }
+
+  receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      console.warn("Ignoring malformed pose broadcast:", err);
+      return;
+    }
+    if (!message || message.type !== "poses") return;
+    if (!isValidPoseFrame(message)) {
+      console.warn("Ignoring invalid pose broadcast");
+      return;
+    }
+    this.latest = message;
+    this.receivedAt = millis();
+  }
+
+  // Latest published poses in the publisher's source pixels (empty once stale)
+  getPoses() {
+    if (!this.latest || millis() - this.receivedAt > POSE_BROADCAST_STALE_MS) return [];
+    const { sourceWidth, sourceHeight } = this.latest;
+    return this.latest.poses.map((pose) => denormalizePose(pose, sourceWidth, sourceHeight));
+  }
+
+  getSourceSize() {
+    return this.latest
+      ? { width: this.latest.sourceWidth, height: this.latest.sourceHeight }
+      : { width: 640, height: 480 };
+  }
+}
@@ -0,0 +1,125 @@
+/*
+ * Pose Models for ImproterAI
+ * The bodyPose models that can be switched at runtime, with their keypoint
+ * layouts. Keypoint names are camelCase here; ml5 reports them in snake_case
+ * ("left_wrist"), and findKeypoint() in gesture-engine.js accepts either.
+ */
+
+// MoveNet keypoint order (17 points)
+const MOVENET_KEYPOINTS = [
+  "nose",
+  "leftEye",
+  "rightEye",
+  "leftEar",
+  "rightEar",
+  "leftShoulder",
+  "rightShoulder",
+  "leftElbow",
+  "rightElbow",
+  "leftWrist",
+  "rightWrist",
+  "leftHip",
+  "rightHip",
+  "leftKnee",
+  "rightKnee",
+  "leftAnkle",
+  "rightAnkle",
+];
+
+// BlazePose keypoint order (33 points, also available in 3D)
+const BLAZEPOSE_KEYPOINTS = [
+  "nose",
+  "leftEyeInner",
+  "leftEye",
+  "leftEyeOuter",
+  "rightEyeInner",
+  "rightEye",
+  "rightEyeOuter",
+  "leftEar",
+  "rightEar",
+  "mouthLeft",
+  "mouthRight",
+  "leftShoulder",
+  "rightShoulder",
+  "leftElbow",
+  "rightElbow",
+  "leftWrist",
+  "rightWrist",
+  "leftPinky",
+  "rightPinky",
+  "leftIndex",
+  "rightIndex",
+  "leftThumb",
+  "rightThumb",
+  "leftHip",
+  "rightHip",
+  "leftKnee",
+  "rightKnee",
+  "leftAnkle",
+  "rightAnkle",
+  "leftHeel",
+  "rightHeel",
+  "leftFootIndex",
+  "rightFootIndex",
+];
+
+// Selectable models; `model` and `options` are passed to ml5.bodyPose()
+const POSE_MODELS = {
+  MULTIPOSE_LIGHTNING: {
+    label: "MoveNet Multipose (fast, up to 6 people)",
+    model: "MoveNet",
+    options: { modelType: "MULTIPOSE_LIGHTNING" },
+    keypoints: MOVENET_KEYPOINTS,
+  },
+  SINGLEPOSE_LIGHTNING: {
+    label: "MoveNet Lightning (fast, 1 person)",
+    model: "MoveNet",
+    options: { modelType: "SINGLEPOSE_LIGHTNING" },
+    keypoints: MOVENET_KEYPOINTS,
+  },
+  SINGLEPOSE_THUNDER: {
+    label: "MoveNet Thunder (accurate, 1 person)",
+    model: "MoveNet",
+    options: { modelType: "SINGLEPOSE_THUNDER" },
+    keypoints: MOVENET_KEYPOINTS,
+  },
+  BLAZEPOSE: {
+    label: "BlazePose (33 points, 3D, 1 person)",
+    model: "BlazePose",
+    options: { runtime: "tfjs", modelType: "full" },
+    keypoints: BLAZEPOSE_KEYPOINTS,
+  },
+};
+
+const DEFAULT_POSE_MODEL = "MULTIPOSE_LIGHTNING";
+
+// Keypoint names for a pose, picked by its layout (for poses without names)
+function getKeypointNames(pose) {
+  return pose.keypoints.length === BLAZEPOSE_KEYPOINTS.length
+    ? BLAZEPOSE_KEYPOINTS
+    : MOVENET_KEYPOINTS;
+}
+
+// Local weights written by scripts/vendor-offline.js (vendor/offline-models.js), if present
+function getOfflineModelUrl(key) {
+  return (window.OFFLINE_MODEL_URLS || {})[key] || null;
+}
+
+// Start loading a model; callback runs once it's ready. The returned
+// object's `ready` promise rejects if loading fails.
+function loadPoseModel(key, baseConfig, callback) {
+  const definition = POSE_MODELS[key];
+  if (!definition) throw new Error(`Unknown pose model: ${key}`);
+
+  // MoveNet shares the app's poseConfig; BlazePose has its own option set
+  const options =
+    definition.model === "MoveNet"
+      ? { ...baseConfig, ...definition.options }
+      : { enableSmoothing: baseConfig.enableSmoothing, flipped: baseConfig.flipped, ...definition.options };
+
+  // Prefer weights bundled by `npm run vendor` unless a modelUrl is configured
+  if (!options.modelUrl && getOfflineModelUrl(key)) {
+    options.modelUrl = getOfflineModelUrl(key);
+  }
+  return ml5.bodyPose(definition.model, options, callback);
+}
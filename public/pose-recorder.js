@@ -0,0 +1,241 @@
+/*
+ * Pose Recording and Playback for ImproterAI
+ * Captures bodyPose results as a timestamped JSON timeline and replays them
+ */
+
+// Timeline file format version (bump when the frame layout changes)
+const POSE_TIMELINE_VERSION = 1;
+
+// Strip an ml5 pose down to the fields the visualizers actually read
+function serializePose(pose) {
+  const serialized = {
+    id: pose.id,
+    score: pose.score,
+    keypoints: pose.keypoints.map((keypoint) => ({
+      x: keypoint.x,
+      y: keypoint.y,
+      confidence: keypoint.confidence,
+      name: keypoint.name,
+    })),
+  };
+
+  // BlazePose world keypoints, for the 3D skeleton
+  if (pose.keypoints3D) {
+    serialized.keypoints3D = pose.keypoints3D.map((keypoint) => ({
+      x: keypoint.x,
+      y: keypoint.y,
+      z: keypoint.z,
+      confidence: keypoint.confidence,
+      name: keypoint.name,
+    }));
+  }
+  return serialized;
+}
+
+class PoseRecorder {
+  constructor() {
+    this.frames = [];
+    this.isRecording = false;
+    this.startTime = 0;
+    this.sourceWidth = 640;
+    this.sourceHeight = 480;
+  }
+
+  // Begin a new recording (source size is the video the keypoints refer to)
+  start(sourceWidth, sourceHeight) {
+    this.frames = [];
+    this.startTime = millis();
+    this.sourceWidth = sourceWidth || this.sourceWidth;
+    this.sourceHeight = sourceHeight || this.sourceHeight;
+    this.isRecording = true;
+  }
+
+  stop() {
+    this.isRecording = false;
+  }
+
+  // Store one bodyPose callback worth of results
+  addFrame(results) {
+    if (!this.isRecording) return;
+
+    this.frames.push({
+      t: Math.round(millis() - this.startTime),
+      poses: results.map(serializePose),
+    });
+  }
+
+  getDuration() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+  }
+
+  getFrameCount() {
+    return this.frames.length;
+  }
+
+  toJSON() {
+    return {
+      version: POSE_TIMELINE_VERSION,
+      sourceWidth: this.sourceWidth,
+      sourceHeight: this.sourceHeight,
+      duration: this.getDuration(),
+      frames: this.frames,
+    };
+  }
+
+  // Download the timeline as a .json file
+  save(filename = "pose-timeline.json") {
+    const blob = new Blob([JSON.stringify(this.toJSON())], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+class PosePlayer {
+  constructor() {
+    this.timeline = null;
+    this.isPlaying = false;
+    this.playhead = 0; // Current position in timeline ms
+    this.speed = 1;
+    this.loop = true;
+    this.lastUpdateTime = 0;
+    this.frameIndex = 0;
+  }
+
+  // Load a parsed timeline object; throws if the file isn't a pose timeline
+  load(timeline) {
+    if (!timeline || !Array.isArray(timeline.frames)) {
+      throw new Error("Not a pose timeline file");
+    }
+    if (timeline.version > POSE_TIMELINE_VERSION) {
+      throw new Error(`Unsupported pose timeline version: ${timeline.version}`);
+    }
+
+    this.timeline = {
+      sourceWidth: timeline.sourceWidth || 640,
+      sourceHeight: timeline.sourceHeight || 480,
+      duration: timeline.duration || 0,
+      frames: timeline.frames,
+    };
+    this.playhead = 0;
+    this.frameIndex = 0;
+    this.isPlaying = false;
+  }
+
+  unload() {
+    this.timeline = null;
+    this.isPlaying = false;
+    this.playhead = 0;
+    this.frameIndex = 0;
+  }
+
+  isLoaded() {
+    return this.timeline !== null;
+  }
+
+  play() {
+    if (!this.isLoaded()) return;
+    // Restart from the beginning when play is pressed at the end
+    if (this.playhead >= this.getDuration()) {
+      this.seek(0);
+    }
+    this.isPlaying = true;
+    this.lastUpdateTime = millis();
+  }
+
+  pause() {
+    this.isPlaying = false;
+  }
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  // Jump to a position in milliseconds
+  seek(ms) {
+    if (!this.isLoaded()) return;
+    this.playhead = constrain(ms, 0, this.getDuration());
+    this.frameIndex = this.findFrameIndex(this.playhead);
+    this.lastUpdateTime = millis();
+  }
+
+  setSpeed(speed) {
+    this.speed = Math.max(0, speed);
+  }
+
+  setLoop(loop) {
+    this.loop = loop;
+  }
+
+  getDuration() {
+    return this.isLoaded() ? this.timeline.duration : 0;
+  }
+
+  getPosition() {
+    return this.playhead;
+  }
+
+  getSourceSize() {
+    return this.isLoaded()
+      ? { width: this.timeline.sourceWidth, height: this.timeline.sourceHeight }
+      : null;
+  }
+
+  // Advance the playhead by real elapsed time; call once per draw()
+  update() {
+    if (!this.isLoaded() || !this.isPlaying) return;
+
+    const now = millis();
+    this.playhead += (now - this.lastUpdateTime) * this.speed;
+    this.lastUpdateTime = now;
+
+    const duration = this.getDuration();
+    if (this.playhead >= duration) {
+      if (this.loop && duration > 0) {
+        this.playhead %= duration;
+        this.frameIndex = 0;
+      } else {
+        this.playhead = duration;
+        this.isPlaying = false;
+      }
+    }
+
+    // Frames are in time order, so walk forward from the last position
+    const frames = this.timeline.frames;
+    while (
+      this.frameIndex < frames.length - 1 &&
+      frames[this.frameIndex + 1].t <= this.playhead
+    ) {
+      this.frameIndex++;
+    }
+  }
+
+  // Binary search for the last frame at or before time ms
+  findFrameIndex(ms) {
+    const frames = this.timeline.frames;
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (frames[mid].t <= ms) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  // Poses for the current playhead, in the same shape ml5 delivers them
+  getPoses() {
+    if (!this.isLoaded() || this.timeline.frames.length === 0) return [];
+    return this.timeline.frames[this.frameIndex].poses;
+  }
+}
@@ -0,0 +1,141 @@
+/*
+ * Person Tracking for ImproterAI
+ * Gives every detected person a persistent track ID across frames so per-person
+ * state (colors, trails, movement history) follows the right body.
+ * Uses ml5's tracking id when enableTracking is on, otherwise matches poses to
+ * existing tracks by nearest centroid.
+ */
+
+class PoseTracker {
+  constructor() {
+    this.tracks = new Map(); // trackId -> { id, ml5Id, centroid, lastSeen }
+    this.ml5Ids = new Map(); // ml5 pose.id -> trackId
+    this.nextId = 1;
+    this.exitDelay = 500; // ms a person may vanish before they count as gone
+    this.matchDistance = 0.2; // Max centroid jump per frame, as a fraction of the canvas diagonal
+    this.minConfidence = 0.1;
+    this.listeners = { enter: [], exit: [] };
+  }
+
+  // Subscribe to "enter" or "exit"; the callback receives the track ID
+  on(event, callback) {
+    this.listeners[event].push(callback);
+  }
+
+  emit(event, id) {
+    for (const callback of this.listeners[event]) callback(id);
+  }
+
+  // Average position of the confident keypoints, or null if none are visible
+  getCentroid(pose) {
+    let x = 0;
+    let y = 0;
+    let count = 0;
+    for (const keypoint of pose.keypoints) {
+      if (keypoint.confidence > this.minConfidence) {
+        x += keypoint.x;
+        y += keypoint.y;
+        count++;
+      }
+    }
+    return count > 0 ? { x: x / count, y: y / count } : null;
+  }
+
+  // Tag each pose with a trackId (mutates and returns the array)
+  update(poses) {
+    const now = millis();
+    const claimed = new Set();
+    const unmatched = [];
+
+    // 1) Poses carrying an ml5 tracking id map straight onto their track
+    for (const pose of poses) {
+      const centroid = this.getCentroid(pose);
+      if (pose.id === undefined || pose.id === null) {
+        unmatched.push({ pose, centroid });
+        continue;
+      }
+
+      let trackId = this.ml5Ids.get(pose.id);
+      if (trackId === undefined || !this.tracks.has(trackId)) {
+        trackId = this.createTrack(centroid, now, pose.id);
+      }
+      this.touchTrack(trackId, centroid, now);
+      claimed.add(trackId);
+      pose.trackId = trackId;
+    }
+
+    // 2) Everyone else is matched greedily to the nearest free track
+    if (unmatched.length > 0) {
+      this.matchByDistance(unmatched, claimed, now);
+    }
+
+    // 3) Tracks that have been missing too long have left the scene
+    for (const [id, track] of this.tracks) {
+      if (now - track.lastSeen > this.exitDelay) {
+        this.tracks.delete(id);
+        if (track.ml5Id !== undefined) this.ml5Ids.delete(track.ml5Id);
+        this.emit("exit", id);
+      }
+    }
+
+    return poses;
+  }
+
+  matchByDistance(unmatched, claimed, now) {
+    const maxDistance = Math.hypot(width, height) * this.matchDistance;
+
+    // All pose/track pairs within range, closest first
+    const pairs = [];
+    unmatched.forEach((entry, i) => {
+      if (!entry.centroid) return;
+      for (const [id, track] of this.tracks) {
+        if (claimed.has(id) || !track.centroid) continue;
+        const d = Math.hypot(entry.centroid.x - track.centroid.x, entry.centroid.y - track.centroid.y);
+        if (d <= maxDistance) pairs.push({ i, id, d });
+      }
+    });
+    pairs.sort((a, b) => a.d - b.d);
+
+    const assigned = new Set();
+    for (const { i, id } of pairs) {
+      if (assigned.has(i) || claimed.has(id)) continue;
+      unmatched[i].pose.trackId = id;
+      this.touchTrack(id, unmatched[i].centroid, now);
+      assigned.add(i);
+      claimed.add(id);
+    }
+
+    // Anyone left over is a new person
+    unmatched.forEach((entry, i) => {
+      if (assigned.has(i)) return;
+      const id = this.createTrack(entry.centroid, now);
+      claimed.add(id);
+      entry.pose.trackId = id;
+    });
+  }
+
+  createTrack(centroid, now, ml5Id) {
+    const id = this.nextId++;
+    this.tracks.set(id, { id, ml5Id, centroid, lastSeen: now });
+    if (ml5Id !== undefined) this.ml5Ids.set(ml5Id, id);
+    this.emit("enter", id);
+    return id;
+  }
+
+  touchTrack(id, centroid, now) {
+    const track = this.tracks.get(id);
+    if (centroid) track.centroid = centroid;
+    track.lastSeen = now;
+  }
+
+  getActiveIds() {
+    return Array.from(this.tracks.keys());
+  }
+
+  // Forget everyone (fires exit for each current track)
+  clear() {
+    for (const id of this.tracks.keys()) this.emit("exit", id);
+    this.tracks.clear();
+    this.ml5Ids.clear();
+  }
+}
@@ -0,0 +1,199 @@
+/*
+ * Pose Coordinate Transform for ImproterAI
+ * Maps raw ml5 keypoints (source pixels) into canvas space once per frame:
+ * crop → rotate → mirror → scale/letterbox. The camera image is drawn through
+ * the same transform so keypoints always line up with the video.
+ */
+
+class PoseTransform {
+  constructor() {
+    this.sourceWidth = 640;
+    this.sourceHeight = 480;
+    this.targetWidth = 640;
+    this.targetHeight = 480;
+    this.mirror = true;
+    this.rotation = 0; // Clockwise degrees: 0, 90, 180 or 270 (portrait cameras)
+    this.fitMode = "contain"; // "stretch", "contain" (letterbox) or "cover"
+    this.crop = { x: 0, y: 0, w: 1, h: 1 }; // Normalized region of the source to keep
+
+    // Derived layout (see updateLayout)
+    this.scaleX = 1;
+    this.scaleY = 1;
+    this.offsetX = 0;
+    this.offsetY = 0;
+    this.updateLayout();
+  }
+
+  setSourceSize(w, h) {
+    if (w === this.sourceWidth && h === this.sourceHeight) return;
+    this.sourceWidth = w;
+    this.sourceHeight = h;
+    this.updateLayout();
+  }
+
+  setTargetSize(w, h) {
+    if (w === this.targetWidth && h === this.targetHeight) return;
+    this.targetWidth = w;
+    this.targetHeight = h;
+    this.updateLayout();
+  }
+
+  setMirror(mirror) {
+    this.mirror = mirror;
+  }
+
+  setRotation(degrees) {
+    this.rotation = ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+    this.updateLayout();
+  }
+
+  setFitMode(mode) {
+    this.fitMode = mode;
+    this.updateLayout();
+  }
+
+  // Crop rectangle in normalized source coordinates (0-1)
+  setCrop(x, y, w, h) {
+    const cx = constrain(x, 0, 1);
+    const cy = constrain(y, 0, 1);
+    this.crop = {
+      x: cx,
+      y: cy,
+      w: constrain(w, 0.01, 1 - cx),
+      h: constrain(h, 0.01, 1 - cy),
+    };
+    this.updateLayout();
+  }
+
+  // Recompute crop box, rotated size, scale and letterbox offsets
+  updateLayout() {
+    this.cropX = this.crop.x * this.sourceWidth;
+    this.cropY = this.crop.y * this.sourceHeight;
+    this.cropWidth = this.crop.w * this.sourceWidth;
+    this.cropHeight = this.crop.h * this.sourceHeight;
+
+    // Quarter turns swap the width and height of the cropped frame
+    const sideways = this.rotation === 90 || this.rotation === 270;
+    this.rotatedWidth = sideways ? this.cropHeight : this.cropWidth;
+    this.rotatedHeight = sideways ? this.cropWidth : this.cropHeight;
+
+    const fitX = this.targetWidth / this.rotatedWidth;
+    const fitY = this.targetHeight / this.rotatedHeight;
+
+    if (this.fitMode === "stretch") {
+      this.scaleX = fitX;
+      this.scaleY = fitY;
+    } else {
+      const s = this.fitMode === "cover" ? Math.max(fitX, fitY) : Math.min(fitX, fitY);
+      this.scaleX = s;
+      this.scaleY = s;
+    }
+
+    // Centre the frame; positive offsets are letterbox bars, negative ones overflow
+    this.offsetX = (this.targetWidth - this.rotatedWidth * this.scaleX) / 2;
+    this.offsetY = (this.targetHeight - this.rotatedHeight * this.scaleY) / 2;
+  }
+
+  // Map one source-pixel point to canvas space
+  transformPoint(x, y) {
+    let u = x - this.cropX;
+    let v = y - this.cropY;
+
+    // Rotate clockwise inside the cropped frame
+    if (this.rotation === 90) {
+      [u, v] = [this.cropHeight - v, u];
+    } else if (this.rotation === 180) {
+      [u, v] = [this.cropWidth - u, this.cropHeight - v];
+    } else if (this.rotation === 270) {
+      [u, v] = [v, this.cropWidth - u];
+    }
+
+    if (this.mirror) {
+      u = this.rotatedWidth - u;
+    }
+
+    return {
+      x: this.offsetX + u * this.scaleX,
+      y: this.offsetY + v * this.scaleY,
+    };
+  }
+
+  // Whether a source-pixel point falls inside the crop region
+  isInsideCrop(x, y) {
+    return (
+      x >= this.cropX &&
+      x <= this.cropX + this.cropWidth &&
+      y >= this.cropY &&
+      y <= this.cropY + this.cropHeight
+    );
+  }
+
+  // Canvas-space copy of one ml5 pose; cropped-out keypoints get zero confidence
+  transformPose(pose) {
+    const transformed = {
+      id: pose.id,
+      score: pose.score,
+      keypoints: pose.keypoints.map((keypoint) => {
+        const p = this.transformPoint(keypoint.x, keypoint.y);
+        return {
+          x: p.x,
+          y: p.y,
+          confidence: this.isInsideCrop(keypoint.x, keypoint.y) ? keypoint.confidence : 0,
+          name: keypoint.name,
+        };
+      }),
+    };
+
+    // BlazePose world keypoints (meters around the hips) only follow the mirror
+    if (pose.keypoints3D) {
+      transformed.keypoints3D = pose.keypoints3D.map((keypoint) => ({
+        x: this.mirror ? -keypoint.x : keypoint.x,
+        y: keypoint.y,
+        z: keypoint.z,
+        confidence: keypoint.confidence,
+        name: keypoint.name,
+      }));
+    }
+    return transformed;
+  }
+
+  transformPoses(poses) {
+    return poses.map((pose) => this.transformPose(pose));
+  }
+
+  // Draw the source media with the exact transform used for keypoints
+  drawMedia(media) {
+    push();
+    translate(this.offsetX, this.offsetY);
+    scale(this.scaleX, this.scaleY);
+
+    if (this.mirror) {
+      translate(this.rotatedWidth, 0);
+      scale(-1, 1);
+    }
+
+    if (this.rotation === 90) {
+      translate(this.cropHeight, 0);
+      rotate(HALF_PI);
+    } else if (this.rotation === 180) {
+      translate(this.cropWidth, this.cropHeight);
+      rotate(PI);
+    } else if (this.rotation === 270) {
+      translate(0, this.cropWidth);
+      rotate(-HALF_PI);
+    }
+
+    image(
+      media,
+      0,
+      0,
+      this.cropWidth,
+      this.cropHeight,
+      this.cropX,
+      this.cropY,
+      this.cropWidth,
+      this.cropHeight
+    );
+    pop();
+  }
+}
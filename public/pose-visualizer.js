@@ -6,13 +6,14 @@
 /* ---------------- Fireworks system (from colleague) ---------------- */
 
 class Spark {
-  constructor(x, y, angle, speed, colorHex) {
-    this.pos = createVector(x, y);
+  constructor(p, x, y, angle, speed, colorHex) {
+    this.p = p; // p5 instance
+    this.pos = p.createVector(x, y);
     this.prev = this.pos.copy(); // for motion trail
-    this.vel = p5.Vector.fromAngle(angle).mult(speed);
+    this.vel = p.createVector(Math.cos(angle), Math.sin(angle)).mult(speed);
     this.life = 255;
-    this.decay = random(3, 6);
-    this.size = random(3.5, 7); // bigger core particles
+    this.decay = p.random(3, 6);
+    this.size = p.random(3.5, 7); // bigger core particles
     this.color = this.hexToRgb(colorHex);
   }
 
@@ -24,39 +25,41 @@ class Spark {
       : { r: 255, g: 255, b: 255 };
   }
 
-  update() {
+  // dt = elapsed time in 60 fps frames (see frame-clock.js)
+  update(dt = 1) {
     // Save previous position for the trail
     this.prev.set(this.pos);
 
     // Slightly weaker air drag → wider spread
-    this.vel.mult(0.992);
+    this.vel.mult(decayFactor(0.992, dt));
 
     // Gentle gravity → smoother downward fall
-    this.vel.y += 0.07;
+    this.vel.y += 0.07 * dt;
 
     // Tiny jitter adds sparkle realism
-    this.vel.x += random(-0.05, 0.05);
-    this.vel.y += random(-0.03, 0.03);
+    this.vel.x += this.p.random(-0.05, 0.05) * dt;
+    this.vel.y += this.p.random(-0.03, 0.03) * dt;
 
     // Move and fade (slower fade = longer persistence)
-    this.pos.add(this.vel);
-    this.life -= this.decay * 0.7;
+    this.pos.x += this.vel.x * dt;
+    this.pos.y += this.vel.y * dt;
+    this.life -= this.decay * 0.7 * dt;
   }
 
-  draw() {
+  draw(g) {
     // Soft flicker for a twinkling look
-    const flicker = 0.7 + 0.3 * sin(frameCount * 0.4 + this.pos.x * 0.02);
+    const flicker = 0.7 + 0.3 * Math.sin(this.p.frameCount * 0.4 + this.pos.x * 0.02);
 
     // 1) Draw a thicker trail between prev → current
-    stroke(this.color.r, this.color.g, this.color.b, this.life * 0.5 * flicker);
-    strokeWeight(this.size * 0.6); // wider trail "brush"
-    line(this.prev.x, this.prev.y, this.pos.x, this.pos.y);
+    g.stroke(this.color.r, this.color.g, this.color.b, this.life * 0.5 * flicker);
+    g.strokeWeight(this.size * 0.6); // wider trail "brush"
+    g.line(this.prev.x, this.prev.y, this.pos.x, this.pos.y);
 
     // 2) Draw the core (larger & brighter)
-    noStroke();
+    g.noStroke();
     const coreSize = this.size * 1.3;
-    fill(this.color.r, this.color.g, this.color.b, this.life * flicker);
-    circle(this.pos.x, this.pos.y, coreSize);
+    g.fill(this.color.r, this.color.g, this.color.b, this.life * flicker);
+    g.circle(this.pos.x, this.pos.y, coreSize);
   }
 
   isDead() {
@@ -65,26 +68,27 @@ class Spark {
 }
 
 class Firework {
-  constructor(x, y, colorHex) {
+  constructor(p, x, y, colorHex) {
+    this.p = p; // p5 instance
     this.sparks = [];
     // Fewer sparks per burst → less noisy; looks full thanks to streaks
     const n = 90;
     for (let i = 0; i < n; i++) {
-      const ang = (TWO_PI * i) / n + random(-0.03, 0.03); // tighter spread
-      const sp = random(2.5, 6.5); // slightly slower
-      this.sparks.push(new Spark(x, y, ang, sp, colorHex));
+      const ang = (p.TWO_PI * i) / n + p.random(-0.03, 0.03); // tighter spread
+      const sp = p.random(2.5, 6.5); // slightly slower
+      this.sparks.push(new Spark(p, x, y, ang, sp, colorHex));
     }
   }
-  update() {
-    for (const s of this.sparks) s.update();
+  update(dt = 1) {
+    for (const s of this.sparks) s.update(dt);
     this.sparks = this.sparks.filter((s) => !s.isDead());
   }
-  draw() {
+  draw(g) {
     // Additive blending for glow
-    push();
-    blendMode(ADD);
-    for (const s of this.sparks) s.draw();
-    pop();
+    g.push();
+    g.blendMode(this.p.ADD);
+    for (const s of this.sparks) s.draw(g);
+    g.pop();
   }
   isDead() {
     return this.sparks.length === 0;
@@ -92,32 +96,47 @@ class Firework {
 }
 
 class FireworksManager {
-  constructor() {
+  constructor(p) {
+    this.p = p; // p5 instance
     this.fireworks = [];
   }
   trigger(x, y, colorHex) {
-    this.fireworks.push(new Firework(x, y, colorHex));
+    this.fireworks.push(new Firework(this.p, x, y, colorHex));
   }
-  updateAndDraw() {
-    for (const f of this.fireworks) {
-      f.update();
-      f.draw();
-    }
+  // Advance every burst and drop the finished ones (no drawing, so it runs headless)
+  update(dt = frameSteps(this.p)) {
+    for (const f of this.fireworks) f.update(dt);
     this.fireworks = this.fireworks.filter((f) => !f.isDead());
   }
+  // g = layer to draw on (p5.Graphics)
+  draw(g) {
+    for (const f of this.fireworks) f.draw(g);
+  }
+  updateAndDraw(g, dt = frameSteps(this.p)) {
+    this.update(dt);
+    this.draw(g);
+  }
+  // Total live sparks, for performance monitoring
+  getTotalSparks() {
+    return this.fireworks.reduce((total, f) => total + f.sparks.length, 0);
+  }
   clear() {
     this.fireworks = [];
   }
 }
 
+// Default growing-circle keypoints: every MoveNet point except the ears
+const CIRCLE_KEYPOINTS = MOVENET_KEYPOINTS.filter((name) => !name.endsWith("Ear"));
+
 // Base class for pose visualizations
 class PoseVisualizer {
-  constructor() {
+  constructor(p) {
+    this.p = p; // p5 instance
     this.paintMode = "keypoints";
     this.paintColor = "#ff0000";
     this.paintSize = 10;
     this.paintOpacity = 80;
-    this.poseTrails = [];
+    this.poseTrails = new Map(); // Trail history per person (keyed by track ID)
 
     // Enhanced growing circles properties
 
@@ -129,24 +148,52 @@ class PoseVisualizer {
       "#FB5607", // Orange-Red
       "#00F5D4", // Cyan-Green
     ];
-    this.poseColors = []; // Store colors for each pose (array of colors per keypoint)
-    this.poseLastPositions = []; // Track last positions for movement detection
+    // Per-person state, keyed by track ID so it follows the person when ml5 reorders poses
+    this.poseColors = new Map(); // Array of colors per keypoint
+    this.poseLastPositions = new Map(); // Last positions for movement detection
     this.poseMovementThreshold = 15; // Movement threshold for color changes
-    this.poseStillnessTime = []; // Track stillness time for each pose
+    this.poseStillnessTime = new Map(); // Stillness time per person
+
+    // Keypoints that get growing circles, by name (virtual points and fingertips work too)
+    this.circleKeypoints = CIRCLE_KEYPOINTS;
 
     // Hands up detection for growing circles
     this.handsUpGrowth = 0; // Growth multiplier when hands are up
     this.maxGrowthMultiplier = 3.0; // Maximum growth when all hands are up
-    this.growthSpeed = 0.02; // How fast circles grow when hands are up
+    this.growthSpeed = 0.02; // How fast circles grow when hands are up (per 60 fps frame)
 
     // Fireworks system (from colleague)
-    this.fireworks = new FireworksManager();
+    this.fireworks = new FireworksManager(p);
     this.fireworksActiveUntil = 0; // Timestamp until which bursts keep firing
     this.fireworksCooldown = 0; // Burst cooldown timestamp (ms)
     this.fireworksInterval = 320; // Slower cadence for calmer rhythm
-    this.allHandsUpTime = 0; // Time all hands have been up
-    this.handsUpThreshold = 48; // 2 seconds of all hands up to trigger fireworks
-    this.triggerFireworksMode = false; // Signal to switch to fireworks mode
+
+    // 3D skeleton (BlazePose world keypoints) rendered in its own WEBGL buffer
+    this.skeleton3D = new Skeleton3DView(p);
+
+    // Gesture engine (hands up etc.), set from the sketch
+    this.gestures = null;
+
+    // Audio analyzer (bass swells circles, mid and beats drive fireworks), set from the sketch
+    this.audio = null;
+  }
+
+  setGestureEngine(engine) {
+    this.gestures = engine;
+  }
+
+  setAudioAnalyzer(analyzer) {
+    this.audio = analyzer;
+  }
+
+  // Audio multiplier for a band (1 without audio)
+  audioBoost(band) {
+    return this.audio !== null ? this.audio.getBoost(band) : 1;
+  }
+
+  // Whether a named gesture is active for this person
+  isGestureActive(name, personId) {
+    return this.gestures !== null && this.gestures.isActive(name, personId);
   }
 
   setMode(mode) {
@@ -161,6 +208,10 @@ class PoseVisualizer {
     this.paintSize = size;
   }
 
+  setCircleKeypoints(names) {
+    this.circleKeypoints = names;
+  }
+
   setOpacity(opacity) {
     this.paintOpacity = opacity;
   }
@@ -177,74 +228,88 @@ class PoseVisualizer {
       : null;
   }
 
-  visualize(poses, connections, minConfidence = 0.1) {
-    if (poses.length === 0) {
-      // Still update/draw fireworks layer (lets remaining sparks fade out)
-      this.fireworks.updateAndDraw();
+  // g = layer to draw on (p5.Graphics); dt = elapsed time in 60 fps frames (see frame-clock.js)
+  // Passing a mode other than paintMode draws a "ghost" of that mode (used while
+  // crossfading out of it): it renders but doesn't advance trails or movement tracking.
+  visualize(g, poses, connections, minConfidence = 0.1, dt = frameSteps(this.p), mode = this.paintMode) {
+    const track = mode === this.paintMode;
+
+    // The 3D view lays out every person in one scene
+    if (mode === "skeleton3d") {
+      this.skeleton3D.draw(g, poses, connections, minConfidence, this.paintColor);
       return;
     }
 
     for (let i = 0; i < poses.length; i++) {
       const pose = poses[i];
+      // Fall back to the array index for poses that haven't been through the tracker
+      const personId = pose.trackId !== undefined ? pose.trackId : i;
 
-      switch (this.paintMode) {
+      switch (mode) {
         case "keypoints":
-          this.drawKeypoints(pose, minConfidence);
+          this.drawKeypoints(g, pose, minConfidence);
           break;
         case "skeleton":
-          this.drawSkeleton(pose, connections, minConfidence);
+          this.drawSkeleton(g, pose, connections, minConfidence);
           break;
         case "trails":
-          this.drawTrails(pose, i, minConfidence);
+          this.drawTrails(g, pose, personId, minConfidence, track);
           break;
         case "circles":
-          this.drawGrowingCircles(pose, minConfidence, i);
+          this.drawGrowingCircles(g, pose, minConfidence, personId, dt, track);
           break;
         case "fireworks":
           // Reuse glowing circles as a soft base under fireworks
-          this.drawGrowingCircles(pose, minConfidence, i);
+          this.drawGrowingCircles(g, pose, minConfidence, personId, dt, track);
           // Trigger logic lives in updateMovementTracking()
           break;
       }
     }
+  }
 
-    // Draw the fireworks overlay on top every frame
-    this.fireworks.updateAndDraw();
+  // Update and draw the fireworks overlay; call once per frame in every mode
+  // so remaining sparks fade out after a mode change or when people leave
+  updateFireworks(g, dt = frameSteps(this.p)) {
+    this.fireworks.updateAndDraw(g, dt);
   }
 
-  drawKeypoints(pose, minConfidence) {
+  drawKeypoints(g, pose, minConfidence) {
     for (let j = 0; j < pose.keypoints.length; j++) {
       const keypoint = pose.keypoints[j];
       if (keypoint.confidence > minConfidence) {
         const rgb = this.hexToRgb(this.paintColor);
-        fill(rgb.r, rgb.g, rgb.b, this.paintOpacity);
-        noStroke();
-        circle(keypoint.x, keypoint.y, this.paintSize);
+        g.fill(rgb.r, rgb.g, rgb.b, this.paintOpacity);
+        g.noStroke();
+        g.circle(keypoint.x, keypoint.y, this.paintSize);
       }
     }
   }
 
-  drawSkeleton(pose, connections, minConfidence) {
+  drawSkeleton(g, pose, connections, minConfidence) {
     for (let j = 0; j < connections.length; j++) {
       const pointAIndex = connections[j][0];
       const pointBIndex = connections[j][1];
       const pointA = pose.keypoints[pointAIndex];
       const pointB = pose.keypoints[pointBIndex];
 
+      // Connections come from the loaded model; a replayed timeline may use another layout
+      if (!pointA || !pointB) continue;
+
       if (pointA.confidence > minConfidence && pointB.confidence > minConfidence) {
         const rgb = this.hexToRgb(this.paintColor);
-        stroke(rgb.r, rgb.g, rgb.b, this.paintOpacity);
-        strokeWeight(this.paintSize / 2);
-        line(pointA.x, pointA.y, pointB.x, pointB.y);
+        g.stroke(rgb.r, rgb.g, rgb.b, this.paintOpacity);
+        g.strokeWeight(this.paintSize / 2);
+        g.line(pointA.x, pointA.y, pointB.x, pointB.y);
       }
     }
   }
 
-  drawTrails(pose, poseIndex, minConfidence) {
+  drawTrails(g, pose, personId, minConfidence, track = true) {
     // Store current pose for trails
-    if (!this.poseTrails[poseIndex]) {
-      this.poseTrails[poseIndex] = [];
+    if (!this.poseTrails.has(personId)) {
+      this.poseTrails.set(personId, []);
     }
+    const trail = this.poseTrails.get(personId);
 
     // Add current keypoints to trail
     const currentKeypoints = [];
@@ -255,70 +320,79 @@ class PoseVisualizer {
       }
     }
 
-    this.poseTrails[poseIndex].push(currentKeypoints);
+    // Ghost passes only redraw the existing trail
+    if (track) {
+      trail.push(currentKeypoints);
 
-    // Limit trail length for performance
-    if (this.poseTrails[poseIndex].length > 15) {
-      this.poseTrails[poseIndex].shift();
+      // Limit trail length for performance
+      if (trail.length > 15) {
+        trail.shift();
+      }
     }
 
     // Draw trail
-    for (let t = 1; t < this.poseTrails[poseIndex].length; t++) {
-      const currKeypoints = this.poseTrails[poseIndex][t];
+    for (let t = 1; t < trail.length; t++) {
+      const currKeypoints = trail[t];
       for (let k = 0; k < currKeypoints.length; k++) {
-        const alpha = (t / this.poseTrails[poseIndex].length) * this.paintOpacity;
+        const alpha = (t / trail.length) * this.paintOpacity;
         const rgb = this.hexToRgb(this.paintColor);
-        fill(rgb.r, rgb.g, rgb.b, alpha);
-        noStroke();
-        circle(currKeypoints[k].x, currKeypoints[k].y, this.paintSize * 0.5);
+        g.fill(rgb.r, rgb.g, rgb.b, alpha);
+        g.noStroke();
+        g.circle(currKeypoints[k].x, currKeypoints[k].y, this.paintSize * 0.5);
       }
     }
   }
 
-  drawGrowingCircles(pose, minConfidence, poseIndex = 0) {
+  drawGrowingCircles(g, pose, minConfidence, personId = 0, dt = 1, track = true) {
     // Initialize pose tracking if needed
-    if (!this.poseColors[poseIndex]) {
-      this.poseColors[poseIndex] = []; // Array of colors for each keypoint
-      this.poseLastPositions[poseIndex] = [];
-      this.poseStillnessTime[poseIndex] = 0;
+    if (!this.poseColors.has(personId)) {
+      this.poseColors.set(personId, []); // Array of colors for each keypoint
+      this.poseLastPositions.set(personId, []);
+      this.poseStillnessTime.set(personId, 0);
     }
+    const colors = this.poseColors.get(personId);
 
-    // Track movement for color changes
-    this.updateMovementTracking(pose, poseIndex, minConfidence);
+    // Track movement for color changes (ghost passes leave state alone)
+    if (track) {
+      this.updateMovementTracking(pose, personId, minConfidence, dt);
+    }
 
-    // Check if hands are up for this pose
-    const handsUp = this.checkHandsUp(pose, minConfidence);
+    // Check if a hand is raised above the head for this person
+    const handsUp = this.isGestureActive("handRaised", personId);
 
-    for (let j = 0; j < pose.keypoints.length; j++) {
-      // Skip ears keypoints (indices 3 and 4)
-      if (j === 3 || j === 4) continue;
+    for (let j = 0; j < this.circleKeypoints.length; j++) {
+      const keypoint = findKeypoint(pose, this.circleKeypoints[j], minConfidence);
 
-      const keypoint = pose.keypoints[j];
-      if (keypoint.confidence > minConfidence) {
+      if (keypoint) {
         // Initialize color for this keypoint if not set
-        if (!this.poseColors[poseIndex][j]) {
-          this.poseColors[poseIndex][j] = this.getRandomColor();
+        if (!colors[j]) {
+          colors[j] = this.getRandomColor();
         }
 
-        const time = millis() * 0.001;
+        const time = this.p.millis() * 0.001;
 
         // Wave-like size changes (bigger base size: 90)
         const baseSize = 90;
-        const sizeWave = sin(time * 2 + j * 0.5) * 30; // Wave amplitude of 30
+        const sizeWave = Math.sin(time * 2 + j * 0.5) * 30; // Wave amplitude of 30
         let size = baseSize + sizeWave;
 
         // Apply hands-up growth
-        if (handsUp) {
-          this.handsUpGrowth += this.growthSpeed;
+        if (!track) {
+          size *= 1 + this.handsUpGrowth;
+        } else if (handsUp) {
+          this.handsUpGrowth += this.growthSpeed * dt;
           this.handsUpGrowth = Math.min(this.handsUpGrowth, this.maxGrowthMultiplier);
           size *= 1 + this.handsUpGrowth;
         } else {
           // Gradually reduce growth when hands come down
-          this.handsUpGrowth *= 0.95;
+          this.handsUpGrowth *= decayFactor(0.95, dt);
         }
 
+        // Swell with the bass
+        size *= this.audioBoost("bass");
+
         // Wave-like opacity changes with minimum opacity of 0.9
-        const opacityWave = sin(time * 1.5 + j * 0.3) * 0.2; // Wave amplitude of 20%
+        const opacityWave = Math.sin(time * 1.5 + j * 0.3) * 0.2; // Wave amplitude of 20%
         const minOpacity = 0.9; // Minimum opacity of 90%
         const dynamicOpacity = Math.max(
           minOpacity,
@@ -327,10 +401,11 @@ class PoseVisualizer {
 
         // Apply glowing effect with radial gradient
         this.drawGlowingCircle(
+          g,
           keypoint.x,
           keypoint.y,
           size,
-          this.poseColors[poseIndex][j],
+          colors[j],
           dynamicOpacity
         );
       }
@@ -342,67 +417,16 @@ class PoseVisualizer {
     return this.colorPalette[Math.floor(Math.random() * this.colorPalette.length)];
   }
 
-  // Check if hands are up (above the head/nose)
-  checkHandsUp(pose, minConfidence) {
-    const nose = pose.keypoints[0]; // nose
-    const leftWrist = pose.keypoints[9]; // leftWrist
-    const rightWrist = pose.keypoints[10]; // rightWrist
-
-    if (nose.confidence < minConfidence) return false;
-
-    let handsUpCount = 0;
-
-    // Check left wrist
-    if (leftWrist.confidence > minConfidence && leftWrist.y < nose.y) {
-      handsUpCount++;
-    }
-
-    // Check right wrist
-    if (rightWrist.confidence > minConfidence && rightWrist.y < nose.y) {
-      handsUpCount++;
-    }
-
-    // Return true if at least one hand is up
-    return handsUpCount > 0;
-  }
-
-  // Check if all people have hands up and handle mode switching
-  checkAllHandsUp(poses, minConfidence) {
-    if (poses.length === 0) return false;
-
-    let allHandsUp = true;
-    for (let pose of poses) {
-      if (!this.checkHandsUp(pose, minConfidence)) {
-        allHandsUp = false;
-        break;
-      }
-    }
-
-    if (allHandsUp) {
-      this.allHandsUpTime += 16; // Assuming ~60fps
-
-      // If all hands up for threshold time, trigger fireworks mode
-      if (this.allHandsUpTime >= this.handsUpThreshold) {
-        return true; // Signal to switch to fireworks mode
-      }
-    } else {
-      this.allHandsUpTime = 0; // Reset timer
-    }
-
-    return false;
-  }
-
   // Reset hands up tracking
   resetHandsUpTracking() {
     this.handsUpGrowth = 0;
-    this.allHandsUpTime = 0;
   }
 
   // Draw a glowing circle with radial gradient effect
-  drawGlowingCircle(x, y, size, colorHex, opacity) {
-    const ctx = drawingContext; // Access the 2D drawing context from p5.js
-    push();
-    blendMode(ADD); // Makes light/glow additive for fire-like effect
+  drawGlowingCircle(layer, x, y, size, colorHex, opacity) {
+    const ctx = layer.drawingContext; // Access the layer's 2D drawing context
+    layer.push();
+    layer.blendMode(this.p.ADD); // Makes light/glow additive for fire-like effect
 
     // Convert hex color to RGB
     const rgb = this.hexToRgb(colorHex);
@@ -432,96 +456,90 @@ class PoseVisualizer {
     ctx.arc(x, y, size * 0.6, 0, Math.PI * 2);
     ctx.fill();
 
-    pop(); // Restore previous drawing state
+    layer.pop(); // Restore previous drawing state
   }
 
   // Track movement to determine if colors should change
-  updateMovementTracking(pose, poseIndex, minConfidence) {
+  updateMovementTracking(pose, personId, minConfidence, dt = 1) {
     let totalMovement = 0;
     let validKeypoints = 0;
+    const lastPositions = this.poseLastPositions.get(personId);
+    const colors = this.poseColors.get(personId);
 
     // Track core posture points (nose, shoulders, hips)
-    const trackingKeypoints = [0, 5, 6, 11, 12];
+    const trackingKeypoints = ["nose", "leftShoulder", "rightShoulder", "leftHip", "rightHip"];
 
     for (let i = 0; i < trackingKeypoints.length; i++) {
-      const idx = trackingKeypoints[i];
-      const k = pose.keypoints[idx];
+      const k = findKeypoint(pose, trackingKeypoints[i], minConfidence);
 
-      if (k && k.confidence > minConfidence) {
+      if (k) {
         const cur = { x: k.x, y: k.y };
-        if (this.poseLastPositions[poseIndex][i]) {
-          const last = this.poseLastPositions[poseIndex][i];
+        if (lastPositions[i]) {
+          const last = lastPositions[i];
           const dx = cur.x - last.x;
           const dy = cur.y - last.y;
           const dist = Math.sqrt(dx * dx + dy * dy);
           totalMovement += dist;
           validKeypoints++;
         }
-        this.poseLastPositions[poseIndex][i] = cur;
+        lastPositions[i] = cur;
       }
     }
 
-    const avgMovement = validKeypoints > 0 ? totalMovement / validKeypoints : 0;
+    // Movement per 60 fps frame, so thresholds mean the same speed at any frame rate
+    const avgMovement = validKeypoints > 0 ? totalMovement / validKeypoints / dt : 0;
 
     // Stillness timer (kept for potential future dynamics)
     if (avgMovement < this.poseMovementThreshold) {
-      this.poseStillnessTime[poseIndex] += 16; // ~60 fps
+      this.poseStillnessTime.set(personId, this.poseStillnessTime.get(personId) + dt * FRAME_STEP_MS);
     } else {
-      this.poseStillnessTime[poseIndex] = 0;
+      this.poseStillnessTime.set(personId, 0);
     }
 
-    // Color dynamics for circles/trails (kept lightweight)
+    // Color dynamics for circles/trails (kept lightweight; chances are per 60 fps frame)
     if (avgMovement > this.poseMovementThreshold * 2) {
-      if (Math.random() < 0.15) {
-        const randomKeypointIndex = Math.floor(Math.random() * 17);
-        this.poseColors[poseIndex][randomKeypointIndex] = this.getRandomColor();
+      if (Math.random() < lerpFactor(0.15, dt)) {
+        const randomKeypointIndex = Math.floor(Math.random() * this.circleKeypoints.length);
+        colors[randomKeypointIndex] = this.getRandomColor();
       }
     } else if (avgMovement > this.poseMovementThreshold) {
-      if (Math.random() < 0.03) {
-        const randomKeypointIndex = Math.floor(Math.random() * 17);
-        this.poseColors[poseIndex][randomKeypointIndex] = this.getRandomColor();
+      if (Math.random() < lerpFactor(0.03, dt)) {
+        const randomKeypointIndex = Math.floor(Math.random() * this.circleKeypoints.length);
+        colors[randomKeypointIndex] = this.getRandomColor();
       }
     }
 
     /* ---------------- Fireworks trigger ----------------
-     * Condition: mode === "fireworks" AND (both hands above shoulder line) AND sufficient movement
+     * Condition: mode === "fireworks" AND "handsUp" gesture (both hands above shoulder line)
+     * AND sufficient movement
      * Behavior: open/extend a sustain window and emit chained bursts at a slower cadence
      */
     if (this.paintMode === "fireworks") {
-      const lw = pose.keypoints[9]; // leftWrist
-      const rw = pose.keypoints[10]; // rightWrist
-      const ls = pose.keypoints[5]; // leftShoulder
-      const rs = pose.keypoints[6]; // rightShoulder
-
-      const haveAll =
-        lw &&
-        rw &&
-        ls &&
-        rs &&
-        lw.confidence > minConfidence &&
-        rw.confidence > minConfidence &&
-        ls.confidence > minConfidence &&
-        rs.confidence > minConfidence;
-
-      if (haveAll) {
-        const shoulderY = (ls.y + rs.y) / 2;
-
-        // Small margin so slight noise doesn't kill the trigger
-        const handsUp = lw.y < shoulderY - 10 && rw.y < shoulderY - 10;
+      const now = this.p.millis();
+      const lw = findKeypoint(pose, "leftWrist", minConfidence);
+      const rw = findKeypoint(pose, "rightWrist", minConfidence);
+
+      const haveWrists = lw && rw;
+
+      if (haveWrists) {
+        const handsUp = this.isGestureActive("handsUp", personId);
 
         // More permissive sustained window:
         //  - High movement relative to (lowered) threshold, OR
         //  - Hands-up fallback if we've been quiet for a while.
         if (
           (avgMovement > this.poseMovementThreshold * 1.3 && handsUp) ||
-          (handsUp && millis() - this.fireworksCooldown > 1000)
+          (handsUp && now - this.fireworksCooldown > 1000)
         ) {
-          this.fireworksActiveUntil = millis() + 2500; // longer sustain window
+          this.fireworksActiveUntil = now + 2500; // longer sustain window
         }
 
         // While inside sustain window, emit chained bursts at a fixed interval
-        if (millis() < this.fireworksActiveUntil) {
-          if (millis() - this.fireworksCooldown > this.fireworksInterval) {
+        // (shorter with loud mids) or right away on a beat
+        if (now < this.fireworksActiveUntil) {
+          const interval = this.fireworksInterval / this.audioBoost("mid");
+          const onBeat = this.audio !== null && this.audio.beat;
+          if (onBeat || now - this.fireworksCooldown > interval) {
             const pick = () =>
               this.colorPalette[Math.floor(Math.random() * this.colorPalette.length)];
 
@@ -534,26 +552,18 @@ class PoseVisualizer {
             }
 
             // Occasionally add a small crown above the head (rare, intentional)
-            const head = pose.keypoints[0]; // nose
-            if (head && head.confidence > minConfidence && Math.random() < 0.25) {
+            const head = findKeypoint(pose, "nose", minConfidence);
+            if (head && Math.random() < 0.25) {
               this.fireworks.trigger(head.x, head.y - 40, pick());
             }
 
             // Rare torso halo (subtle, fewer points) to avoid "confetti" feel
-            const hasHips =
-              pose.keypoints[11] &&
-              pose.keypoints[12] &&
-              pose.keypoints[11].confidence > minConfidence &&
-              pose.keypoints[12].confidence > minConfidence;
-            if (hasHips && Math.random() < 0.15) {
-              const torso = {
-                x: (pose.keypoints[11].x + pose.keypoints[12].x) / 2,
-                y: (pose.keypoints[11].y + pose.keypoints[12].y) / 2,
-              };
+            const torso = findKeypoint(pose, "midHip", minConfidence);
+            if (torso && Math.random() < 0.15) {
               const ringCount = 4; // fewer points than the explosive version
               const ringRadius = 50; // slightly tighter
               for (let r = 0; r < ringCount; r++) {
-                const ang = (TWO_PI * r) / ringCount;
+                const ang = (this.p.TWO_PI * r) / ringCount;
                 const rx = torso.x + Math.cos(ang) * ringRadius;
                 const ry = torso.y + Math.sin(ang) * ringRadius;
                 this.fireworks.trigger(rx, ry, pick());
@@ -561,7 +571,7 @@ class PoseVisualizer {
             }
 
             // cadence control
-            this.fireworksCooldown = millis();
+            this.fireworksCooldown = now;
           }
         }
       }
@@ -569,14 +579,22 @@ class PoseVisualizer {
   }
 
   clearTrails() {
-    this.poseTrails = [];
+    this.poseTrails.clear();
+  }
+
+  // Drop all state for a person who has left the scene
+  forgetPerson(personId) {
+    this.poseTrails.delete(personId);
+    this.poseColors.delete(personId);
+    this.poseLastPositions.delete(personId);
+    this.poseStillnessTime.delete(personId);
   }
 
   // Clear all pose tracking data
   clearPoseTracking() {
-    this.poseColors = [];
-    this.poseLastPositions = [];
-    this.poseStillnessTime = [];
+    this.poseColors.clear();
+    this.poseLastPositions.clear();
+    this.poseStillnessTime.clear();
     // Also clear fireworks when resetting
     this.fireworks.clear();
   }
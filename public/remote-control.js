@@ -0,0 +1,101 @@
+/*
+ * Remote Control Link for ImproterAI
+ * Connects the show window (index.html) with operator pages (control.html):
+ *
+ *   BroadcastChannel  other windows on the same machine and browser
+ *   WebSocket         phones and laptops, through scripts/pose-server.js
+ *                     (which relays every message to all other clients)
+ *
+ * Messages (JSON):
+ *   operator → show   { type: "hello" }                              ask for the controls
+ *                     { type: "set", key: "paintSize", value: 20 }   keys from SETTING_CONTROLS
+ *                     { type: "fireworks" }, { type: "clear" }
+ *   show → operator   { type: "controls", controls: [...] }          see describeSettingControls()
+ *                     { type: "status", people: 2, fps: 58, settings: {...} }
+ *
+ * Used by both pages, so it doesn't depend on p5.
+ */
+
+const REMOTE_CONTROL_CHANNEL = "improterai-control";
+const REMOTE_CONTROL_MESSAGES = ["hello", "set", "fireworks", "clear", "controls", "status"];
+const REMOTE_CONTROL_RETRY_MS = 2000;
+
+class RemoteControlLink {
+  constructor(onMessage) {
+    this.onMessage = onMessage;
+    this.onStatusChange = () => {};
+    this.channel = null;
+    this.socket = null;
+    this.url = null; // Server URL while a WebSocket link is wanted
+    this.status = "off"; // WebSocket status: "off", "connecting", "open" or "retrying"
+    this.retryTimer = null;
+  }
+
+  // Same-machine link; always on where the browser supports it
+  openChannel() {
+    if (this.channel || typeof BroadcastChannel !== "function") return;
+    this.channel = new BroadcastChannel(REMOTE_CONTROL_CHANNEL);
+    this.channel.addEventListener("message", (e) => this.receive(e.data));
+  }
+
+  // Network link through the pose server; reconnects until disconnect()
+  connect(url) {
+    this.disconnect();
+    this.url = url;
+    this.openSocket();
+  }
+
+  openSocket() {
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+    this.status = "connecting";
+    this.onStatusChange();
+
+    socket.addEventListener("open", () => {
+      if (this.socket !== socket) return;
+      this.status = "open";
+      this.onStatusChange();
+    });
+    socket.addEventListener("message", (e) => {
+      if (this.socket === socket && typeof e.data === "string") this.receive(e.data);
+    });
+    socket.addEventListener("close", () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.status = "retrying";
+      this.retryTimer = setTimeout(() => this.openSocket(), REMOTE_CONTROL_RETRY_MS);
+      this.onStatusChange();
+    });
+  }
+
+  disconnect() {
+    clearTimeout(this.retryTimer);
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.url = null;
+    this.status = "off";
+    this.onStatusChange();
+  }
+
+  send(message) {
+    const data = JSON.stringify(message);
+    if (this.channel) this.channel.postMessage(data);
+    if (this.status === "open") this.socket.send(data);
+  }
+
+  // Ignore anything else on the server (pose frames for viewers, malformed data)
+  receive(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+    if (message && REMOTE_CONTROL_MESSAGES.includes(message.type)) {
+      this.onMessage(message);
+    }
+  }
+}
@@ -0,0 +1,144 @@
+/*
+ * Settings Presets for ImproterAI
+ * Named snapshots of the visualizer, particle, smoke and camera settings plus
+ * poseConfig/visualSettings, kept in localStorage and exportable as JSON.
+ * Each app mode ("presentation") can have its own preset, and the last live
+ * settings are remembered across reloads.
+ *
+ * Preset format:
+ *   {
+ *     "settings": { "paintMode": "smoke", "cameraOpacity": 25, ... },  // see SETTING_CONTROLS in sketch.js
+ *     "poseConfig": { "modelType": "MULTIPOSE_LIGHTNING", ... },        // optional
+ *     "visualSettings": { "minConfidence": 0.1, ... }                    // optional
+ *   }
+ */
+
+const PRESETS_STORAGE_KEY = "improterai-presets";
+const PRESETS_FILE_VERSION = 1;
+
+// Always available; saving a preset with the same name overrides it
+const BUILTIN_PRESETS = {
+  Presentation: {
+    settings: { cameraOpacity: 25, paintOpacity: 90 },
+  },
+};
+
+class PresetStore {
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+    this.presets = {}; // name -> preset (user presets only)
+    this.modes = { presentation: "Presentation" }; // app mode -> preset name
+    this.session = null; // Last live settings, restored on reload
+    this.load();
+  }
+
+  // Read everything from storage; a missing or corrupt entry leaves the defaults
+  load() {
+    let data;
+    try {
+      data = JSON.parse(this.storage.getItem(PRESETS_STORAGE_KEY));
+    } catch (err) {
+      console.warn("Could not read saved presets:", err);
+      return;
+    }
+    if (!data) return;
+
+    this.presets = data.presets || {};
+    this.modes = { ...this.modes, ...data.modes };
+    this.session = data.session || null;
+  }
+
+  save() {
+    const data = {
+      version: PRESETS_FILE_VERSION,
+      presets: this.presets,
+      modes: this.modes,
+      session: this.session,
+    };
+    try {
+      this.storage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(data));
+    } catch (err) {
+      // Private browsing or a full quota shouldn't break the app
+      console.warn("Could not save presets:", err);
+    }
+  }
+
+  getNames() {
+    const names = new Set([...Object.keys(BUILTIN_PRESETS), ...Object.keys(this.presets)]);
+    return [...names].sort((a, b) => a.localeCompare(b));
+  }
+
+  get(name) {
+    return this.presets[name] || BUILTIN_PRESETS[name] || null;
+  }
+
+  isBuiltin(name) {
+    return name in BUILTIN_PRESETS && !(name in this.presets);
+  }
+
+  set(name, preset) {
+    if (!name) throw new Error("Preset needs a name");
+    this.presets[name] = preset;
+    this.save();
+  }
+
+  remove(name) {
+    delete this.presets[name];
+    // Modes pointing at a deleted preset fall back to no preset
+    for (const [mode, presetName] of Object.entries(this.modes)) {
+      if (presetName === name && !this.get(name)) this.modes[mode] = null;
+    }
+    this.save();
+  }
+
+  // Preset name used when entering an app mode (null = keep current settings)
+  getModePreset(mode) {
+    return this.modes[mode] || null;
+  }
+
+  setModePreset(mode, name) {
+    this.modes[mode] = name || null;
+    this.save();
+  }
+
+  getSession() {
+    return this.session;
+  }
+
+  saveSession(preset) {
+    this.session = preset;
+    this.save();
+  }
+
+  // JSON for download: the named presets, or all user presets
+  toJSON(names = Object.keys(this.presets)) {
+    const presets = {};
+    for (const name of names) {
+      if (this.get(name)) presets[name] = this.get(name);
+    }
+    return { version: PRESETS_FILE_VERSION, presets };
+  }
+
+  // Merge presets from an exported file; throws if it isn't a preset file
+  import(data) {
+    if (!data || typeof data.presets !== "object" || Array.isArray(data.presets)) {
+      throw new Error("Not a presets file (missing presets object)");
+    }
+    if (data.version > PRESETS_FILE_VERSION) {
+      throw new Error(`Unsupported presets version: ${data.version}`);
+    }
+
+    const names = Object.keys(data.presets);
+    for (const name of names) {
+      const preset = data.presets[name];
+      if (!preset || typeof preset.settings !== "object") {
+        throw new Error(`Preset "${name}" has no settings`);
+      }
+    }
+    for (const name of names) {
+      this.presets[name] = data.presets[name];
+    }
+    this.save();
+    return names;
+  }
+}
@@ -0,0 +1,311 @@
+/*
+ * Show Control Output for ImproterAI
+ * Turns pose data into Web MIDI and OSC so lighting and sound desks can follow
+ * the performers. Each mapping reads one source and sends it to one output:
+ *
+ *   { source: "keypoint:leftWrist:y", output: "cc",   channel: 1, number: 1 }
+ *   { source: "gesture:handsUp",      output: "note", channel: 1, number: 60 }
+ *   { source: "angle:leftElbow",      output: "osc",  address: "/improter/leftElbow" }
+ *
+ * Sources read 0..1: keypoint x/y across the canvas (y is height, 1 at the top),
+ * joint angles over 0..180°, gestures 1 on start and 0 on end. Positions and
+ * angles follow the first person on screen; gestures fire for anyone.
+ * Browsers can't send UDP, so OSC goes as binary packets over a WebSocket to
+ * scripts/osc-relay.js, which forwards them to the desk.
+ */
+
+// Joint → [end, vertex, end]; the angle is measured at the vertex
+const JOINT_ANGLES = {
+  leftElbow: ["leftShoulder", "leftElbow", "leftWrist"],
+  rightElbow: ["rightShoulder", "rightElbow", "rightWrist"],
+  leftShoulder: ["leftElbow", "leftShoulder", "leftHip"],
+  rightShoulder: ["rightElbow", "rightShoulder", "rightHip"],
+  leftHip: ["leftShoulder", "leftHip", "leftKnee"],
+  rightHip: ["rightShoulder", "rightHip", "rightKnee"],
+  leftKnee: ["leftHip", "leftKnee", "leftAnkle"],
+  rightKnee: ["rightHip", "rightKnee", "rightAnkle"],
+};
+
+const DEFAULT_CONTROL_MAPPINGS = [
+  { source: "keypoint:leftWrist:y", output: "cc", channel: 1, number: 1 },
+  { source: "gesture:handsUp", output: "note", channel: 1, number: 60 },
+  { source: "angle:rightElbow", output: "osc", address: "/improter/rightElbow" },
+];
+
+const DEFAULT_OSC_RELAY_URL = "ws://localhost:8081";
+const CONTROL_OUTPUTS = ["cc", "note", "osc"];
+
+// Integer in min..max, or fallback when it isn't a number
+function clampInteger(value, min, max, fallback) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+}
+
+// A mapping safe to send (MIDI channel 1-16, number 0-127, OSC address starting
+// with "/"), or null when it can't be used (imported presets may hold anything)
+function normalizeControlMapping(mapping) {
+  if (!mapping || typeof mapping.source !== "string" || !CONTROL_OUTPUTS.includes(mapping.output)) {
+    return null;
+  }
+  const normalized = { ...mapping };
+  if (mapping.output === "osc") {
+    const address = String(mapping.address || "");
+    normalized.address = address.startsWith("/") ? address : `/${address}`;
+  } else {
+    normalized.channel = clampInteger(mapping.channel, 1, 16, 1);
+    normalized.number = clampInteger(mapping.number, 0, 127, 0);
+  }
+  return normalized;
+}
+
+// Every source a mapping can read, as { value, label } for the UI
+function getControlSources(gestureNames) {
+  const sources = [];
+  for (const name of MOVENET_KEYPOINTS) {
+    sources.push({ value: `keypoint:${name}:y`, label: `${name} height` });
+    sources.push({ value: `keypoint:${name}:x`, label: `${name} x` });
+  }
+  for (const joint of Object.keys(JOINT_ANGLES)) {
+    sources.push({ value: `angle:${joint}`, label: `${joint} angle` });
+  }
+  for (const name of gestureNames) {
+    sources.push({ value: `gesture:${name}`, label: `${name} gesture` });
+  }
+  return sources;
+}
+
+// Angle at a joint in degrees (0 = folded, 180 = straight), or null if a point is missing
+function getJointAngle(pose, joint, minConfidence) {
+  const [a, b, c] = JOINT_ANGLES[joint].map((name) => findKeypoint(pose, name, minConfidence));
+  if (!a || !b || !c) return null;
+  const angle = Math.abs(Math.atan2(a.y - b.y, a.x - b.x) - Math.atan2(c.y - b.y, c.x - b.x));
+  return ((angle > Math.PI ? 2 * Math.PI - angle : angle) * 180) / Math.PI;
+}
+
+// Read a position or angle source as 0..1 for a canvas-space pose (null if not visible)
+function readControlSource(source, pose, canvasWidth, canvasHeight, minConfidence) {
+  const [type, name, axis] = source.split(":");
+  if (type === "keypoint") {
+    const keypoint = findKeypoint(pose, name, minConfidence);
+    if (!keypoint) return null;
+    const value = axis === "x" ? keypoint.x / canvasWidth : 1 - keypoint.y / canvasHeight;
+    return constrain(value, 0, 1);
+  }
+  if (type === "angle") {
+    const angle = getJointAngle(pose, name, minConfidence);
+    return angle === null ? null : angle / 180;
+  }
+  return null;
+}
+
+// OSC 1.0 message with float ("f") arguments
+function encodeOscMessage(address, args) {
+  const padded = (length) => Math.ceil((length + 1) / 4) * 4; // Null-terminated, 4-byte aligned
+  const typeTags = "," + "f".repeat(args.length);
+  const size = padded(address.length) + padded(typeTags.length) + args.length * 4;
+
+  const buffer = new ArrayBuffer(size);
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  let offset = 0;
+  for (const text of [address, typeTags]) {
+    for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+    offset += padded(text.length);
+  }
+  for (const arg of args) {
+    view.setFloat32(offset, arg); // Big-endian
+    offset += 4;
+  }
+  return buffer;
+}
+
+// Web MIDI output port picker and sender
+class MidiOutput {
+  constructor() {
+    this.access = null;
+    this.output = null;
+  }
+
+  isSupported() {
+    return typeof navigator.requestMIDIAccess === "function";
+  }
+
+  // Ask for MIDI access; onDevicesChange runs when ports are plugged or unplugged
+  connect(onDevicesChange = () => {}) {
+    if (!this.isSupported()) {
+      return Promise.reject(new Error("Web MIDI is not supported in this browser"));
+    }
+    return navigator.requestMIDIAccess().then((access) => {
+      this.access = access;
+      access.onstatechange = () => onDevicesChange();
+      onDevicesChange();
+    });
+  }
+
+  getOutputs() {
+    if (!this.access) return [];
+    return Array.from(this.access.outputs.values()).map((port) => ({ id: port.id, name: port.name }));
+  }
+
+  // Pick an output port by id ("" for none)
+  setOutput(id) {
+    this.output = (this.access && this.access.outputs.get(id)) || null;
+  }
+
+  // Channels are 1-16, data bytes 0-127
+  sendControlChange(channel, number, value) {
+    this.send([0xb0 | (channel - 1), number, value]);
+  }
+
+  sendNote(channel, number, velocity) {
+    this.send(velocity > 0 ? [0x90 | (channel - 1), number, velocity] : [0x80 | (channel - 1), number, 0]);
+  }
+
+  send(bytes) {
+    if (this.output) this.output.send(bytes);
+  }
+}
+
+// WebSocket link to the OSC relay
+class OscBridge {
+  constructor() {
+    this.socket = null;
+    this.status = "off"; // "off", "connecting", "open" or "error"
+  }
+
+  connect(url, onStatusChange = () => {}) {
+    this.disconnect();
+    const socket = new WebSocket(url);
+    socket.binaryType = "arraybuffer";
+    this.socket = socket;
+    this.status = "connecting";
+    onStatusChange();
+
+    // Ignore events from a socket that has since been replaced
+    const setStatus = (status) => {
+      if (this.socket !== socket) return;
+      this.status = status;
+      onStatusChange();
+    };
+    socket.addEventListener("open", () => setStatus("open"));
+    socket.addEventListener("error", () => setStatus("error"));
+    socket.addEventListener("close", () => {
+      if (this.status !== "error") setStatus("off");
+    });
+  }
+
+  disconnect() {
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.status = "off";
+  }
+
+  isOpen() {
+    return this.status === "open";
+  }
+
+  send(address, args) {
+    if (this.isOpen()) this.socket.send(encodeOscMessage(address, args));
+  }
+}
+
+// Evaluates the mappings every frame and on gesture events
+class PoseControlMapper {
+  constructor(midi, osc) {
+    this.midi = midi;
+    this.osc = osc;
+    this.mappings = DEFAULT_CONTROL_MAPPINGS.map((mapping) => ({ ...mapping }));
+    this.lastValues = new Map(); // mapping -> last value sent, so only changes go out
+    this.gestureHolders = new Map(); // gesture name -> person IDs it's active for
+    this.noteThreshold = 0.5; // Position/angle sources play a note while above this
+  }
+
+  getMappings() {
+    return this.mappings.map((mapping) => ({ ...mapping }));
+  }
+
+  // Unusable mappings are dropped and out-of-range numbers clamped
+  setMappings(mappings) {
+    this.mappings = [];
+    for (const mapping of mappings) {
+      const normalized = normalizeControlMapping(mapping);
+      if (normalized) {
+        this.mappings.push(normalized);
+      } else {
+        console.warn("Ignoring invalid control mapping:", mapping);
+      }
+    }
+    this.lastValues.clear();
+  }
+
+  addMapping(mapping) {
+    const normalized = normalizeControlMapping(mapping);
+    if (normalized) this.mappings.push(normalized);
+  }
+
+  updateMapping(index, changes) {
+    const mapping = this.mappings[index];
+    const normalized = normalizeControlMapping({ ...mapping, ...changes });
+    if (!normalized) return;
+    Object.assign(mapping, normalized);
+    this.lastValues.delete(mapping);
+  }
+
+  removeMapping(index) {
+    const [mapping] = this.mappings.splice(index, 1);
+    this.lastValues.delete(mapping);
+  }
+
+  // Send position and angle mappings for the first person in this frame's canvas poses
+  update(poses, canvasWidth, canvasHeight, minConfidence) {
+    if (poses.length === 0) return;
+    for (const mapping of this.mappings) {
+      if (mapping.source.startsWith("gesture:")) continue;
+      const value = readControlSource(mapping.source, poses[0], canvasWidth, canvasHeight, minConfidence);
+      if (value !== null) this.send(mapping, value);
+    }
+  }
+
+  // Gesture event from the GestureEngine ({ name, personId, type }). A gesture
+  // mapping stays at 1 until the last person doing it stops.
+  handleGesture(event) {
+    if (!this.gestureHolders.has(event.name)) this.gestureHolders.set(event.name, new Set());
+    const holders = this.gestureHolders.get(event.name);
+    if (event.type === "start") {
+      holders.add(event.personId);
+    } else {
+      holders.delete(event.personId);
+    }
+
+    for (const mapping of this.mappings) {
+      if (mapping.source === `gesture:${event.name}`) {
+        this.send(mapping, holders.size > 0 ? 1 : 0);
+      }
+    }
+  }
+
+  // Send a 0..1 value through a mapping's output, skipping repeats
+  send(mapping, value) {
+    if (mapping.output === "osc") {
+      if (Math.abs(value - this.lastValues.get(mapping)) < 0.001) return;
+      this.lastValues.set(mapping, value);
+      this.osc.send(mapping.address, [value]);
+      return;
+    }
+
+    if (mapping.output === "cc") {
+      const ccValue = Math.round(value * 127);
+      if (ccValue === this.lastValues.get(mapping)) return;
+      this.lastValues.set(mapping, ccValue);
+      this.midi.sendControlChange(mapping.channel, mapping.number, ccValue);
+    } else if (mapping.output === "note") {
+      const on = value >= this.noteThreshold;
+      if (on === this.lastValues.get(mapping)) return;
+      this.lastValues.set(mapping, on);
+      this.midi.sendNote(mapping.channel, mapping.number, on ? 127 : 0);
+    }
+  }
+}
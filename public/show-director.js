@@ -0,0 +1,215 @@
+/*
+ * Show Director for ImproterAI presentation mode
+ * Runs a JSON show script: a list of scenes, each with a paint mode, optional
+ * parameters and transition rules. Scene changes crossfade instead of cutting.
+ *
+ * Script format:
+ *   {
+ *     "name": "My show",
+ *     "start": "solo",
+ *     "crossfade": 1500,                  // default crossfade in ms (scenes may override)
+ *     "scenes": [
+ *       {
+ *         "name": "solo",
+ *         "mode": "smoke",
+ *         "params": { "smokeSize": 60 },   // applied when the scene starts
+ *         "transitions": [
+ *           { "to": "ensemble", "when": { "people": { "min": 2 } } },
+ *           { "to": "finale", "when": { "gesture": "everyoneHandsUp" } }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * Conditions (combine with { all: [...] } / { any: [...] }):
+ *   { "people": { "min": 2, "max": 4 }, "for": 500 }  person count in range (for ms, optional)
+ *   { "gesture": "clap" }                             gesture started during this scene
+ *   { "after": 30000 }                                ms since the scene started
+ *   { "empty": 10000 }                                nobody in frame for ms
+ */
+
+// Built-in show: one person → smoke, several → circles, everyone's hands up → fireworks
+const DEFAULT_SHOW_SCRIPT = {
+  name: "Default show",
+  start: "solo",
+  crossfade: 1500,
+  scenes: [
+    {
+      name: "solo",
+      mode: "smoke",
+      transitions: [{ to: "ensemble", when: { people: { min: 2 } } }],
+    },
+    {
+      name: "ensemble",
+      mode: "circles",
+      transitions: [
+        { to: "finale", when: { gesture: "everyoneHandsUp" } },
+        { to: "solo", when: { people: { min: 1, max: 1 } } },
+      ],
+    },
+    {
+      name: "finale",
+      mode: "fireworks",
+      transitions: [{ to: "solo", when: { people: { min: 1, max: 1 } } }],
+    },
+  ],
+};
+
+class ShowDirector {
+  constructor() {
+    this.script = null;
+    this.scene = null;
+    this.isRunning = false;
+    this.sceneStartTime = 0;
+    this.emptySince = null; // When the stage last became empty
+    this.conditionSince = new Map(); // Condition object -> time it started holding (for "for")
+    this.gesturesThisScene = new Set();
+    this.crossfade = null; // { from, startTime, duration }
+    this.listeners = [];
+  }
+
+  // Validate and load a show script; throws with a readable message if it's malformed
+  load(script) {
+    if (!script || !Array.isArray(script.scenes) || script.scenes.length === 0) {
+      throw new Error("Show script needs a non-empty scenes array");
+    }
+
+    const names = new Set();
+    for (const scene of script.scenes) {
+      if (!scene.name || !scene.mode) {
+        throw new Error("Every scene needs a name and a mode");
+      }
+      if (names.has(scene.name)) {
+        throw new Error(`Duplicate scene name: ${scene.name}`);
+      }
+      names.add(scene.name);
+    }
+
+    const start = script.start || script.scenes[0].name;
+    if (!names.has(start)) {
+      throw new Error(`Start scene not found: ${start}`);
+    }
+    for (const scene of script.scenes) {
+      for (const transition of scene.transitions || []) {
+        if (!names.has(transition.to)) {
+          throw new Error(`Scene "${scene.name}" transitions to unknown scene "${transition.to}"`);
+        }
+      }
+    }
+
+    const wasRunning = this.isRunning;
+    this.script = { crossfade: 1000, ...script, start };
+    if (wasRunning) this.start();
+  }
+
+  // Called with (scene, previousScene) whenever the scene changes
+  onSceneChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  start() {
+    if (!this.script) this.load(DEFAULT_SHOW_SCRIPT);
+    this.isRunning = true;
+    this.scene = null;
+    this.emptySince = null;
+    this.enterScene(this.script.start);
+  }
+
+  stop() {
+    this.isRunning = false;
+    this.scene = null;
+    this.crossfade = null;
+  }
+
+  getScene(name) {
+    return this.script.scenes.find((scene) => scene.name === name);
+  }
+
+  getSceneName() {
+    return this.scene ? this.scene.name : null;
+  }
+
+  enterScene(name) {
+    const previous = this.scene;
+    this.scene = this.getScene(name);
+    this.sceneStartTime = millis();
+    this.conditionSince.clear();
+    this.gesturesThisScene.clear();
+
+    // Crossfade from the previous mode (nothing to fade when the mode is unchanged)
+    const duration =
+      this.scene.crossfade !== undefined ? this.scene.crossfade : this.script.crossfade;
+    if (previous && previous.mode !== this.scene.mode && duration > 0) {
+      this.crossfade = { from: previous.mode, startTime: millis(), duration };
+    } else {
+      this.crossfade = null;
+    }
+
+    for (const callback of this.listeners) callback(this.scene, previous);
+  }
+
+  // Record a gesture start for "gesture" conditions
+  notifyGesture(name) {
+    if (this.isRunning) this.gesturesThisScene.add(name);
+  }
+
+  // Check the current scene's transitions; call once per frame
+  update(personCount) {
+    if (!this.isRunning) return;
+
+    const now = millis();
+    if (personCount === 0) {
+      if (this.emptySince === null) this.emptySince = now;
+    } else {
+      this.emptySince = null;
+    }
+
+    const state = { personCount, now };
+    for (const transition of this.scene.transitions || []) {
+      if (this.evaluate(transition.when, state)) {
+        this.enterScene(transition.to);
+        return;
+      }
+    }
+  }
+
+  evaluate(condition, state) {
+    if (!condition) return false;
+    if (condition.all) return condition.all.every((c) => this.evaluate(c, state));
+    if (condition.any) return condition.any.some((c) => this.evaluate(c, state));
+
+    let holds;
+    if (condition.people) {
+      const { min = 0, max = Infinity } = condition.people;
+      holds = state.personCount >= min && state.personCount <= max;
+    } else if (condition.gesture) {
+      holds = this.gesturesThisScene.has(condition.gesture);
+    } else if (condition.after !== undefined) {
+      holds = state.now - this.sceneStartTime >= condition.after;
+    } else if (condition.empty !== undefined) {
+      holds = this.emptySince !== null && state.now - this.emptySince >= condition.empty;
+    } else {
+      throw new Error(`Unknown show condition: ${JSON.stringify(condition)}`);
+    }
+
+    // Optional "for": the condition has to keep holding for that long
+    if (!condition.for) return holds;
+    if (!holds) {
+      this.conditionSince.delete(condition);
+      return false;
+    }
+    if (!this.conditionSince.has(condition)) this.conditionSince.set(condition, state.now);
+    return state.now - this.conditionSince.get(condition) >= condition.for;
+  }
+
+  // Active crossfade as { from, progress 0-1 }, or null
+  getCrossfade() {
+    if (!this.crossfade) return null;
+    const progress = (millis() - this.crossfade.startTime) / this.crossfade.duration;
+    if (progress >= 1) {
+      this.crossfade = null;
+      return null;
+    }
+    return { from: this.crossfade.from, progress };
+  }
+}
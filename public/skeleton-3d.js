@@ -0,0 +1,221 @@
+/*
+ * 3D Skeleton View for ImproterAI
+ * Renders BlazePose world keypoints (keypoints3D, in meters around the hip
+ * center) into an offscreen WEBGL buffer with an orbit camera, depth-shaded
+ * joints and a floor grid, then draws the buffer onto a 2D layer.
+ */
+
+const SKELETON_3D_SCALE = 250; // Pixels per meter
+const SKELETON_3D_SPACING = 1.2; // Meters between people when several are shown
+const FOOT_KEYPOINTS = [
+  "left_ankle",
+  "right_ankle",
+  "left_heel",
+  "right_heel",
+  "left_foot_index",
+  "right_foot_index",
+];
+
+class Skeleton3DView {
+  constructor(p) {
+    this.p = p; // p5 instance
+    this.graphics = null; // WEBGL buffer, created at the layer's size on first draw
+
+    // Orbit camera (radians, pixels)
+    this.defaultYaw = 0.5;
+    this.defaultPitch = -0.3;
+    this.defaultDistance = 900;
+    this.reset();
+    this.dragStart = null;
+
+    this.floorY = 0.9; // Smoothed floor height below the hips (meters, y down)
+    this.nearColor = [255, 90, 40]; // Joints leaning toward the camera
+    this.farColor = [60, 140, 255]; // Joints away from the camera
+  }
+
+  // Back to the default viewpoint
+  reset() {
+    this.yaw = this.defaultYaw;
+    this.pitch = this.defaultPitch;
+    this.distance = this.defaultDistance;
+  }
+
+  startOrbit(x, y) {
+    this.dragStart = { x, y, yaw: this.yaw, pitch: this.pitch };
+  }
+
+  orbit(x, y) {
+    if (!this.dragStart) return;
+    this.yaw = this.dragStart.yaw + (x - this.dragStart.x) * 0.01;
+    // Stop short of straight up/down so the camera's up vector stays valid
+    this.pitch = this.p.constrain(this.dragStart.pitch + (y - this.dragStart.y) * 0.01, -1.4, 1.4);
+  }
+
+  endOrbit() {
+    this.dragStart = null;
+  }
+
+  zoom(delta) {
+    this.distance = this.p.constrain(this.distance * (1 + delta * 0.001), 300, 3000);
+  }
+
+  // Match the WEBGL buffer to the layer it's drawn on
+  ensureBuffer(w, h) {
+    if (this.graphics && this.graphics.width === w && this.graphics.height === h) return;
+    if (this.graphics) this.graphics.remove();
+    this.graphics = this.p.createGraphics(w, h, this.p.WEBGL);
+    this.graphics.hide();
+  }
+
+  // Draw every pose that has 3D keypoints onto the 2D layer g
+  draw(g, poses, connections, minConfidence, colorHex) {
+    const poses3D = poses.filter((pose) => pose.keypoints3D && pose.keypoints3D.length > 0);
+    if (poses3D.length === 0) {
+      g.fill(255);
+      g.noStroke();
+      g.textAlign(this.p.CENTER, this.p.CENTER);
+      g.textSize(18);
+      g.text("3D skeleton needs BlazePose - choose it under Pose Model", g.width / 2, g.height / 2);
+      return;
+    }
+
+    this.ensureBuffer(g.width, g.height);
+    const g3 = this.graphics;
+    g3.clear();
+    g3.push();
+
+    // Orbit camera around the hip center
+    g3.camera(
+      this.distance * Math.sin(this.yaw) * Math.cos(this.pitch),
+      this.distance * Math.sin(this.pitch),
+      this.distance * Math.cos(this.yaw) * Math.cos(this.pitch),
+      0,
+      0,
+      0,
+      0,
+      1,
+      0
+    );
+
+    this.updateFloor(poses3D, minConfidence);
+    this.drawFloorGrid(g3, poses3D.length);
+
+    for (let i = 0; i < poses3D.length; i++) {
+      const offsetX = (i - (poses3D.length - 1) / 2) * SKELETON_3D_SPACING;
+      this.drawSkeleton(g3, poses3D[i].keypoints3D, connections, minConfidence, offsetX, colorHex);
+    }
+    g3.pop();
+
+    g.image(g3, 0, 0);
+
+    // Lean readout for movement analysis
+    g.fill(255);
+    g.noStroke();
+    g.textAlign(this.p.LEFT);
+    g.textSize(14);
+    for (let i = 0; i < poses3D.length; i++) {
+      const lean = this.getLean(poses3D[i].keypoints3D, minConfidence);
+      if (lean === null) continue;
+      const direction = lean < 0 ? "toward camera" : "away";
+      g.text(`Lean: ${Math.abs(lean * 100).toFixed(0)} cm ${direction}`, 10, g.height - 15 - i * 20);
+    }
+  }
+
+  // World (meters, BlazePose axes) to WEBGL coordinates; BlazePose z grows away
+  // from the camera while WEBGL z grows toward the viewer
+  toScene(keypoint, offsetX) {
+    return {
+      x: (keypoint.x + offsetX) * SKELETON_3D_SCALE,
+      y: keypoint.y * SKELETON_3D_SCALE,
+      z: -keypoint.z * SKELETON_3D_SCALE,
+    };
+  }
+
+  // 0 = leaning toward the camera, 1 = away
+  depthAmount(keypoint) {
+    return this.p.constrain(this.p.map(keypoint.z, -0.5, 0.5, 0, 1), 0, 1);
+  }
+
+  depthColor(keypoint) {
+    const t = this.depthAmount(keypoint);
+    return this.nearColor.map((near, i) => near + (this.farColor[i] - near) * t);
+  }
+
+  drawSkeleton(g3, keypoints, connections, minConfidence, offsetX, colorHex) {
+    // Bones in the paint color, fading with depth
+    const p = this.p;
+    const base = p.color(colorHex);
+    g3.strokeWeight(4);
+    for (const [a, b] of connections) {
+      const pointA = keypoints[a];
+      const pointB = keypoints[b];
+      if (!pointA || !pointB) continue;
+      if (pointA.confidence <= minConfidence || pointB.confidence <= minConfidence) continue;
+
+      const depth = (this.depthAmount(pointA) + this.depthAmount(pointB)) / 2;
+      g3.stroke(p.red(base), p.green(base), p.blue(base), 255 - depth * 140);
+      const sa = this.toScene(pointA, offsetX);
+      const sb = this.toScene(pointB, offsetX);
+      g3.line(sa.x, sa.y, sa.z, sb.x, sb.y, sb.z);
+    }
+
+    // Joints shaded from warm (near) to cool (far)
+    g3.noStroke();
+    for (const keypoint of keypoints) {
+      if (keypoint.confidence <= minConfidence) continue;
+      const pos = this.toScene(keypoint, offsetX);
+      g3.push();
+      g3.translate(pos.x, pos.y, pos.z);
+      g3.fill(...this.depthColor(keypoint));
+      g3.sphere(8, 8, 6);
+      g3.pop();
+    }
+  }
+
+  // Follow the lowest visible foot so the grid sits under the performer
+  updateFloor(poses3D, minConfidence) {
+    let lowest = null;
+    for (const pose of poses3D) {
+      for (const keypoint of pose.keypoints3D) {
+        if (!FOOT_KEYPOINTS.includes(keypoint.name) || keypoint.confidence <= minConfidence) continue;
+        if (lowest === null || keypoint.y > lowest) lowest = keypoint.y;
+      }
+    }
+    if (lowest !== null) {
+      this.floorY += (lowest - this.floorY) * lerpFactor(0.1, frameSteps(this.p));
+    }
+  }
+
+  drawFloorGrid(g3, personCount) {
+    const s = SKELETON_3D_SCALE;
+    const halfWidth = (2 + ((personCount - 1) * SKELETON_3D_SPACING) / 2) * s;
+    const halfDepth = 2 * s;
+    const step = 0.25 * s;
+    const y = this.floorY * s;
+
+    // Brighter center lines through the hip center
+    g3.strokeWeight(1);
+    for (let x = 0; x <= halfWidth; x += step) {
+      g3.stroke(255, x === 0 ? 120 : 50);
+      g3.line(x, y, -halfDepth, x, y, halfDepth);
+      g3.line(-x, y, -halfDepth, -x, y, halfDepth);
+    }
+    for (let z = 0; z <= halfDepth; z += step) {
+      g3.stroke(255, z === 0 ? 120 : 50);
+      g3.line(-halfWidth, y, z, halfWidth, y, z);
+      g3.line(-halfWidth, y, -z, halfWidth, y, -z);
+    }
+  }
+
+  // Shoulder center depth relative to the hips, in meters (negative = toward the camera)
+  getLean(keypoints, minConfidence) {
+    const find = (name) =>
+      keypoints.find((keypoint) => keypoint.name === name && keypoint.confidence > minConfidence);
+    const ls = find("left_shoulder");
+    const rs = find("right_shoulder");
+    const lh = find("left_hip");
+    const rh = find("right_hip");
+    if (!ls || !rs || !lh || !rh) return null;
+    return (ls.z + rs.z) / 2 - (lh.z + rh.z) / 2;
+  }
+}
@@ -11,9 +11,12 @@
  * - Multiple pose support
  */
 
-let video;
+let inputSource; // Webcam, video file or image sequence feeding bodyPose
 let bodyPose;
+let poseModel; // Key of the loaded model in POSE_MODELS
+let loadingPoseModel = null; // Key of the model a switch is downloading
 let poses = [];
+let canvasPoses = []; // poses mapped into canvas space, rebuilt once per frame
 let connections;
 
 // Canvas and visualization variables
@@ -22,22 +25,39 @@ let isCameraActive = false;
 let previousPoses = [];
 let isFullscreen = false;
 let isPresentationMode = false;
-let scaleX = 1;
-let scaleY = 1;
-let offsetX = 0;
-let offsetY = 0;
+let poseTransform; // Source → canvas mapping (crop, rotation, mirror, letterbox)
+let poseTracker; // Persistent per-person track IDs across frames
+let gestureEngine; // Named gestures (hands up, T-pose, clap...) evaluated every frame
+let landmarkTracker; // Optional handPose/faceMesh pipelines attached to body poses
+let showDirector; // Runs the presentation-mode show script
+let canvasRecorder; // WebM video capture of the canvas
+let layers; // Camera (main canvas), persistent paint layer and HUD overlay
+let presetStore; // Saved settings presets (localStorage)
+let presentationRestore = null; // Operator's settings from before presentation mode
+let bodyMap; // Clickable figure for picking emitter keypoints
+let audioAnalyzer; // Mic or audio file analysis that modulates the visualizers
+let midiOutput; // Web MIDI port for show control
+let oscBridge; // WebSocket link to the OSC relay
+let controlMapper; // Pose → MIDI/OSC mappings
+let midiLearn; // Hardware MIDI controller bindings for the page's controls
+let poseBroadcast; // Publishes poses to, or views poses from, other instances
+let remoteControl; // Link to operator pages (control.html)
+let lastRemoteStatus = 0; // When the last status went out to operator pages (ms)
 
 // Visualization and particle system instances
 let poseVisualizer;
 let particleSystem;
 let smokeSystem;
+let poseRecorder;
+let posePlayer;
+let isDraggingSeek = false; // The operator holds the seek bar; playback doesn't move it
 // Note: Fireworks system is now integrated into PoseVisualizer
 let cameraOpacity = 100; // New variable to control camera visibility
 let cameraMirror = true; // Variable to control camera mirroring
 
 // Configuration for the pose detection model
 const poseConfig = {
-  modelType: "MULTIPOSE_LIGHTNING", // "MULTIPOSE_LIGHTNING", "SINGLEPOSE_LIGHTNING", or "SINGLEPOSE_THUNDER"
+  modelType: "MULTIPOSE_LIGHTNING", // Initial model: "MULTIPOSE_LIGHTNING", "SINGLEPOSE_LIGHTNING", "SINGLEPOSE_THUNDER" (or pick BlazePose in the UI)
   enableSmoothing: true,
   minPoseScore: 0.25,
   multiPoseMaxDimension: 256,
@@ -58,37 +78,151 @@ const visualSettings = {
 };
 
 function preload() {
-  // Load the bodyPose model with configuration
-  bodyPose = ml5.bodyPose(poseConfig);
+  // Last session's model and detection settings apply before the model loads
+  presetStore = new PresetStore();
+  const session = presetStore.getSession();
+  if (session) {
+    Object.assign(poseConfig, session.poseConfig);
+    Object.assign(visualSettings, session.visualSettings);
+  }
+
+  // Load the bodyPose model with configuration (the model picked last time, if any)
+  poseModel = POSE_MODELS[poseConfig.modelType] ? poseConfig.modelType : DEFAULT_POSE_MODEL;
+  if (session && session.settings && POSE_MODELS[session.settings.poseModel]) {
+    poseModel = session.settings.poseModel;
+  }
+  bodyPose = loadPoseModel(poseModel, poseConfig);
+  bodyPose.ready.catch((err) => {
+    console.error("Could not load pose model:", err);
+    showLoadError(`The ${POSE_MODELS[poseModel].label} model failed to load: ${err.message}`);
+  });
 
   // Load smoke texture
   loadSmokeTexture();
 }
 
+// Without p5 or ml5 nothing would run; explain instead of leaving a blank page
+window.addEventListener("load", () => {
+  const missing = ["p5", "ml5"].filter((name) => typeof window[name] === "undefined");
+  if (missing.length > 0) {
+    showLoadError(`${missing.join(" and ")} could not be loaded (no network and no local copy).`);
+  }
+});
+
+// Cover the page with an explanation of what failed to load
+function showLoadError(message) {
+  document.getElementById("load-error-message").textContent = message;
+  document.getElementById("load-error").style.display = "flex";
+  document.getElementById("load-error-retry").onclick = () => location.reload();
+}
+
 function setup() {
   // Create camera canvas and attach to container
   cameraCanvas = createCanvas(640, 480);
   cameraCanvas.parent("camera-container");
 
-  // Create the video capture with standard resolution to avoid cropping
-  video = createCapture(VIDEO);
-  // Use standard webcam resolution to avoid aspect ratio issues
-  video.size(640, 480);
-  video.hide();
-  video.stop(); // Stop the video initially
+  // Webcam by default; the capture is only created once the input is started
+  inputSource = new PoseInputSource();
+  poseTransform = new PoseTransform();
 
   // Get the skeleton connection information
   connections = bodyPose.getSkeleton();
 
+  // Offscreen paint and HUD layers composited over the camera
+  layers = new LayerCompositor(width, height);
+
   // Setup UI event listeners
   setupUI();
 
-  // Initialize visualization and particle systems
-  poseVisualizer = new PoseVisualizer();
-  particleSystem = new ParticleSystem();
-  smokeSystem = new SmokeSystem();
+  // Initialize visualization and particle systems. They take the p5 instance;
+  // in global mode its functions and variables live on window.
+  poseVisualizer = new PoseVisualizer(window);
+  particleSystem = new ParticleSystem(window);
+  smokeSystem = new SmokeSystem(window);
   // Note: Fireworks system is now integrated into PoseVisualizer
 
+  // Presentation mode scene director (built-in show until a script is loaded)
+  showDirector = new ShowDirector();
+  showDirector.onSceneChange(handleSceneChange);
+
+  // Gesture recognition; visualizers query it, presentation mode listens for events
+  gestureEngine = new GestureEngine(window);
+  gestureEngine.on("*", handleGestureEvent);
+  poseVisualizer.setGestureEngine(gestureEngine);
+
+  // Optional hand and face landmarks (fingertips, mouth, eyebrows)
+  landmarkTracker = new LandmarkTracker();
+
+  // Pose data out to lighting and sound desks
+  midiOutput = new MidiOutput();
+  oscBridge = new OscBridge();
+  controlMapper = new PoseControlMapper(midiOutput, oscBridge);
+  gestureEngine.on("*", (event) => controlMapper.handleGesture(event));
+
+  // Faders and pads drive the controls (bindings made with MIDI Learn)
+  midiLearn = new MidiLearn();
+
+  // Music drives circle size, fireworks cadence, particle rate and smoke density
+  audioAnalyzer = new AudioAnalyzer();
+  poseVisualizer.setAudioAnalyzer(audioAnalyzer);
+  particleSystem.setAudioAnalyzer(audioAnalyzer);
+  smokeSystem.setAudioAnalyzer(audioAnalyzer);
+
+  // Paint modes (built-in and plugins) get the shared systems once they exist
+  paintModes.setContext({
+    p: window,
+    visualizer: poseVisualizer,
+    particles: particleSystem,
+    smoke: smokeSystem,
+    gestures: gestureEngine,
+    audio: audioAnalyzer,
+    get connections() {
+      return connections;
+    },
+    get minConfidence() {
+      return visualSettings.minConfidence;
+    },
+  });
+
+  // Per-person identity; systems drop a person's state when they leave
+  poseTracker = new PoseTracker();
+  poseTracker.on("exit", (personId) => {
+    gestureEngine.forgetPerson(personId);
+    landmarkTracker.forgetPerson(personId);
+    poseVisualizer.forgetPerson(personId);
+    particleSystem.forgetPerson(personId);
+    smokeSystem.forgetPerson(personId);
+    paintModes.forgetPerson(personId);
+  });
+
+  // WebM video recording of the composited canvas
+  canvasRecorder = new CanvasRecorder();
+
+  // Pose timeline recording and playback
+  poseRecorder = new PoseRecorder();
+  posePlayer = new PosePlayer();
+
+  // Multi-screen: share poses through scripts/pose-server.js
+  poseBroadcast = new PoseBroadcast();
+
+  // Operator pages on this machine can connect right away; others via the server
+  remoteControl = new RemoteControlLink(handleRemoteMessage);
+  remoteControl.openChannel();
+
+  // Emitter keypoints per paint mode, picked on the body map
+  setupEmitterUI();
+
+  // MIDI/OSC outputs and the mapping editor
+  setupShowControlUI();
+  setupMidiLearnUI();
+  setupBroadcastUI();
+  setupRemoteControlUI();
+
+  // Restore the sliders from last time and fill the preset menus
+  const session = presetStore.getSession();
+  if (session) applyPreset(session);
+  setupPresetUI();
+
   // Set initial frame rate
   frameRate(60);
 
@@ -100,67 +234,126 @@ function draw() {
   // Clear background
   background(0);
 
-  // Only draw video and pose detection if camera is active
-  if (isCameraActive) {
-    // Calculate scaling factors for pose coordinates
-    scaleX = width / video.width;
-    scaleY = height / video.height;
+  // Replayed timelines stand in for the live model output, and so do poses
+  // from a publishing instance when viewing
+  if (posePlayer.isLoaded()) {
+    posePlayer.update();
+    poses = posePlayer.getPoses();
+    updatePlaybackUI();
+  } else if (poseBroadcast.isViewing()) {
+    poses = poseBroadcast.getPoses();
+  }
 
-    // Draw the webcam video with opacity control
-    push(); // Isolate drawing state for camera
-    tint(255, cameraOpacity);
+  // Keep the recording timer ticking
+  if (canvasRecorder.isRecording) {
+    updateVideoRecordButton();
+  }
 
-    if (cameraMirror) {
-      // Mirror the camera horizontally
-      translate(width, 0);
-      scale(-1, 1);
+  // Analyse this frame's audio before anything reacts to it
+  audioAnalyzer.update();
+
+  // Paint layer keeps or fades its strokes; the overlay starts empty every frame
+  layers.matchCanvasSize(width, height);
+  layers.beginFrame(frameDeltaMs(window));
+  const paintLayer = layers.paint;
+  const overlayLayer = layers.overlay;
+
+  // Only draw video and pose detection if camera is active or a timeline is loaded
+  if (isCameraActive || posePlayer.isLoaded() || poseBroadcast.isViewing()) {
+    poseTransform.setTargetSize(width, height);
+    poseTransform.setMirror(cameraMirror);
+
+    // Draw the input video with opacity control
+    if (isCameraActive) {
+      inputSource.update();
+      poseTransform.setSourceSize(inputSource.getWidth(), inputSource.getHeight());
+
+      push(); // Isolate drawing state for camera
+      tint(255, cameraOpacity);
+      poseTransform.drawMedia(inputSource.getMedia());
+      pop(); // Restore drawing state
     }
 
-    // Draw video at full canvas size (no cropping)
-    image(video, 0, 0, width, height);
-
-    pop(); // Restore drawing state
+    // Map this frame's poses into canvas space once for every visualizer
+    if (posePlayer.isLoaded()) {
+      const source = posePlayer.getSourceSize();
+      poseTransform.setSourceSize(source.width, source.height);
+    } else if (poseBroadcast.isViewing()) {
+      const source = poseBroadcast.getSourceSize();
+      poseTransform.setSourceSize(source.width, source.height);
+    }
+    canvasPoses = poseTracker.update(poseTransform.transformPoses(poses));
+    landmarkTracker.attach(canvasPoses, poseTransform, visualSettings.minConfidence);
+    gestureEngine.update(canvasPoses, visualSettings.minConfidence);
+    controlMapper.update(canvasPoses, width, height, visualSettings.minConfidence);
 
     // Draw the skeleton connections
-    // drawSkeleton();
+    // drawSkeleton(overlayLayer);
 
     // Draw all the tracked landmark points
-    // drawKeypoints();
+    // drawKeypoints(overlayLayer);
 
     // Display pose count (hidden in presentation mode)
     if (!isPresentationMode) {
-      displayPoseInfo();
+      displayPoseInfo(overlayLayer);
     }
 
-    // Handle presentation mode automatic switching
+    // Let the show script change scenes in presentation mode
     if (isPresentationMode) {
-      handlePresentationMode();
+      showDirector.update(canvasPoses.length);
     }
 
-    // Paint visualizations on the same canvas
-    paintOnCanvas();
+    // While a scene crossfades, the previous mode fades out under the new one
+    const crossfade = showDirector.getCrossfade();
+    if (crossfade) {
+      paintLayer.drawingContext.globalAlpha = 1 - crossfade.progress;
+      paintWithMode(paintLayer, crossfade.from, true);
+      paintLayer.drawingContext.globalAlpha = crossfade.progress;
+    }
 
-    // Update and draw particles
-    updateParticles();
+    // Paint the current mode on the paint layer
+    paintWithMode(paintLayer, poseVisualizer.paintMode);
+    paintLayer.drawingContext.globalAlpha = 1;
 
-    // Handle mode switching from growing circles to fireworks
-    handleModeSwitching();
+    // Fireworks on top (keep fading out after leaving fireworks mode)
+    poseVisualizer.updateFireworks(paintLayer);
   } else {
     // Show "Camera Stopped" message
+    const label = inputSource.getLabel();
     fill(255);
     textAlign(CENTER, CENTER);
     textSize(24);
-    text("🎥 Camera Stopped", width / 2, height / 2);
+    text(`🎥 ${label} Stopped`, width / 2, height / 2);
     textSize(16);
-    text("Click 'Start Camera' to begin", width / 2, height / 2 + 40);
+    if (inputSource.isReady()) {
+      text(`Click 'Start ${label}' to begin`, width / 2, height / 2 + 40);
+    } else {
+      text("Drop a video file or images here", width / 2, height / 2 + 40);
+    }
+  }
+
+  // Model switch in progress
+  if (loadingPoseModel) {
+    overlayLayer.fill(255);
+    overlayLayer.noStroke();
+    overlayLayer.textAlign(CENTER, CENTER);
+    overlayLayer.textSize(20);
+    overlayLayer.text(`⏳ Loading ${POSE_MODELS[loadingPoseModel].label}…`, width / 2, height - 40);
   }
 
-  // Visualization canvas will be added later
+  // Stack paint and HUD over the camera
+  layers.composite();
+
+  // Person count, FPS and settings for operator pages, twice a second
+  if (millis() - lastRemoteStatus > 500) {
+    sendRemoteStatus();
+    lastRemoteStatus = millis();
+  }
 }
 
-function drawSkeleton() {
-  for (let i = 0; i < poses.length; i++) {
-    let pose = poses[i];
+function drawSkeleton(g) {
+  for (let i = 0; i < canvasPoses.length; i++) {
+    let pose = canvasPoses[i];
     for (let j = 0; j < connections.length; j++) {
       let pointAIndex = connections[j][0];
       let pointBIndex = connections[j][1];
@@ -172,76 +365,100 @@ function drawSkeleton() {
         pointA.confidence > visualSettings.minConfidence &&
         pointB.confidence > visualSettings.minConfidence
       ) {
-        stroke(visualSettings.skeletonColor);
-        strokeWeight(visualSettings.strokeWeight);
-
-        // Calculate coordinates with mirroring
-        let x1 = pointA.x * scaleX;
-        let y1 = pointA.y * scaleY;
-        let x2 = pointB.x * scaleX;
-        let y2 = pointB.y * scaleY;
-
-        // Flip X coordinates if camera is mirrored
-        if (cameraMirror) {
-          x1 = width - x1;
-          x2 = width - x2;
-        }
-
-        line(x1, y1, x2, y2);
+        g.stroke(visualSettings.skeletonColor);
+        g.strokeWeight(visualSettings.strokeWeight);
+        g.line(pointA.x, pointA.y, pointB.x, pointB.y);
       }
     }
   }
 }
 
-function drawKeypoints() {
-  for (let i = 0; i < poses.length; i++) {
-    let pose = poses[i];
+function drawKeypoints(g) {
+  for (let i = 0; i < canvasPoses.length; i++) {
+    let pose = canvasPoses[i];
     for (let j = 0; j < pose.keypoints.length; j++) {
       let keypoint = pose.keypoints[j];
 
       // Only draw a circle if the keypoint's confidence is above threshold
       if (keypoint.confidence > visualSettings.minConfidence) {
-        fill(visualSettings.keypointColor);
-        noStroke();
-
-        // Calculate coordinates with mirroring
-        let x = keypoint.x * scaleX;
-        let y = keypoint.y * scaleY;
-
-        // Flip X coordinate if camera is mirrored
-        if (cameraMirror) {
-          x = width - x;
-        }
-
-        circle(x, y, visualSettings.keypointSize);
+        g.fill(visualSettings.keypointColor);
+        g.noStroke();
+        g.circle(keypoint.x, keypoint.y, visualSettings.keypointSize);
       }
     }
   }
 }
 
-function displayPoseInfo() {
+function displayPoseInfo(g) {
   // Display pose count and particle count in top-left corner
-  fill(255);
-  noStroke();
-  textAlign(LEFT);
-  textSize(16);
-  text(`Poses: ${poses.length}`, 10, 25);
+  g.fill(255);
+  g.noStroke();
+  g.textAlign(LEFT);
+  g.textSize(16);
+  const ids = canvasPoses.map((pose) => `#${pose.trackId}`).join(" ");
+  g.text(`Poses: ${poses.length}${ids ? ` (${ids})` : ""}`, 10, 25);
+
+  // Active gestures
+  const gestures = gestureEngine.getActive().map((active) => `${active.name} #${active.personId}`);
+  if (gestures.length > 0) {
+    g.text(`Gestures: ${gestures.join(", ")}`, 10, 65);
+  }
 
-  // Show particle count for performance monitoring
-  if (poseVisualizer.paintMode === "particles") {
-    const particleCount = particleSystem.getTotalParticles();
-    text(`Particles: ${particleCount}`, 10, 45);
-  } else if (poseVisualizer.paintMode === "fireworks") {
-    const fireworksCount = poseVisualizer.fireworks.fireworks.length;
-    text(`Fireworks: ${fireworksCount}`, 10, 45);
-  } else if (poseVisualizer.paintMode === "smoke") {
-    const smokeCount = smokeSystem.getTotalParticles();
-    text(`Smoke: ${smokeCount}`, 10, 45);
+  // Recording / playback status in the top-right corner
+  g.textAlign(RIGHT);
+  if (poseRecorder.isRecording) {
+    g.fill(255, 60, 60);
+    g.text(`● REC ${(poseRecorder.getDuration() / 1000).toFixed(1)}s`, g.width - 10, 25);
+  } else if (posePlayer.isLoaded()) {
+    g.fill(255);
+    g.text(`▶ Playback ${posePlayer.speed}x`, g.width - 10, 25);
+  }
+  g.fill(255);
+  g.textAlign(LEFT);
+
+  // Audio meters under the counts
+  if (audioAnalyzer.isActive()) {
+    drawAudioMeters(g, 10, 80);
+  }
+
+  // The mode's own stats (particle count etc.) for performance monitoring
+  const mode = paintModes.get(poseVisualizer.paintMode);
+  const stats = mode && mode.stats();
+  if (stats) {
+    g.text(stats, 10, 45);
   }
 }
 
+// Bass/mid/treble bars with a beat light
+function drawAudioMeters(g, x, y) {
+  const levels = audioAnalyzer.levels;
+  g.push();
+  g.noStroke();
+  g.textSize(10);
+  AUDIO_BANDS.forEach((band, i) => {
+    const barY = y + i * 12;
+    g.fill(255, 60);
+    g.rect(x + 40, barY, 80, 8);
+    g.fill(255);
+    g.rect(x + 40, barY, 80 * levels[band], 8);
+    g.text(band, x, barY + 8);
+  });
+  g.fill(255, 80, 80, 255 * audioAnalyzer.pulse);
+  g.circle(x + 132, y + 16, 12);
+  g.pop();
+}
+
 // Callback function for when bodyPose outputs data
 function gotPoses(results) {
+  // Capture the raw model output when recording a timeline
+  poseRecorder.addFrame(results);
+
+  // Share it with viewer screens
+  poseBroadcast.publish(results, inputSource.getWidth(), inputSource.getHeight());
+
+  // A loaded timeline takes over from the live model until it's unloaded
+  if (posePlayer.isLoaded()) return;
+
   // Save the output to the poses variable
   poses = results;
 
@@ -252,37 +469,34 @@ function gotPoses(results) {
 }
 
 // Utility function to get pose data (can be used for further processing)
+// Returns the replayed poses while a timeline is playing
 function getPoseData() {
   return poses;
 }
 
-// Utility function to get specific keypoint
+// Utility function to get specific keypoint by camelCase name ("leftWrist"),
+// for whichever model is loaded
 function getKeypoint(poseIndex, keypointName) {
   if (poses.length > poseIndex) {
-    const keypointNames = [
-      "nose",
-      "leftEye",
-      "rightEye",
-      "leftEar",
-      "rightEar",
-      "leftShoulder",
-      "rightShoulder",
-      "leftElbow",
-      "rightElbow",
-      "leftWrist",
-      "rightWrist",
-      "leftHip",
-      "rightHip",
-      "leftKnee",
-      "rightKnee",
-      "leftAnkle",
-      "rightAnkle",
-    ];
-
-    const keypointIndex = keypointNames.indexOf(keypointName);
-    if (keypointIndex !== -1) {
-      return poses[poseIndex].keypoints[keypointIndex];
-    }
+    return findKeypoint(poses[poseIndex], keypointName, -Infinity);
+  }
+  return null;
+}
+
+// Fingertip of one hand in canvas space, e.g. getFingertip(0, "left", "index");
+// needs the hand pipeline enabled
+function getFingertip(poseIndex, side, finger = "index") {
+  if (canvasPoses.length > poseIndex) {
+    return findKeypoint(canvasPoses[poseIndex], side + toPascalCase(FINGERTIPS[finger]), -Infinity);
+  }
+  return null;
+}
+
+// Named face landmark in canvas space (see FACE_LANDMARKS), e.g. "mouthCenter";
+// needs the face pipeline enabled
+function getFaceLandmark(poseIndex, name) {
+  if (canvasPoses.length > poseIndex) {
+    return findKeypoint(canvasPoses[poseIndex], name, -Infinity);
   }
   return null;
 }
@@ -293,18 +507,63 @@ function setupUI() {
   const cameraToggle = document.getElementById("camera-toggle");
   cameraToggle.addEventListener("click", toggleCamera);
 
+  // Webcam / video file / image sequence selection
+  setupInputSourceUI();
+
+  // Pose model selector (MoveNet variants, BlazePose)
+  const poseModelSelect = document.getElementById("pose-model");
+  for (const [key, definition] of Object.entries(POSE_MODELS)) {
+    poseModelSelect.add(new Option(definition.label, key));
+  }
+  poseModelSelect.value = poseModel;
+  poseModelSelect.addEventListener("change", (e) => {
+    switchPoseModel(e.target.value);
+  });
+
   // Save canvas button
   const saveCanvas = document.getElementById("save-canvas");
   saveCanvas.addEventListener("click", saveVisualizationCanvas);
 
+  // Snapshot button (full composite including camera)
+  const saveSnapshotButton = document.getElementById("save-snapshot");
+  saveSnapshotButton.addEventListener("click", saveSnapshot);
+
+  // Video recording button
+  const videoRecordToggle = document.getElementById("video-record-toggle");
+  videoRecordToggle.addEventListener("click", toggleVideoRecording);
+  if (!CanvasRecorder.isSupported()) {
+    videoRecordToggle.disabled = true;
+    videoRecordToggle.title = "Video recording is not supported in this browser";
+  }
+
+  // "R" toggles video recording (also works in presentation mode, where the buttons are hidden)
+  document.addEventListener("keydown", (e) => {
+    if (e.code !== "KeyR" || e.repeat) return;
+    if (["INPUT", "SELECT", "TEXTAREA"].includes(document.activeElement.tagName)) return;
+    toggleVideoRecording();
+  });
+
   // Fullscreen toggle button
   const fullscreenToggle = document.getElementById("fullscreen-toggle");
   fullscreenToggle.addEventListener("click", toggleFullscreen);
 
+  // Pose timeline recording and playback
+  setupPlaybackUI();
+
   // Presentation mode toggle button
   const presentationToggle = document.getElementById("presentation-toggle");
   presentationToggle.addEventListener("click", togglePresentationMode);
 
+  // Show script for presentation mode
+  const showInput = document.getElementById("show-file");
+  document.getElementById("load-show").addEventListener("click", () => {
+    showInput.click();
+  });
+  showInput.addEventListener("change", (e) => {
+    if (e.target.files.length > 0) loadShowScript(e.target.files[0]);
+    e.target.value = "";
+  });
+
   // Keyboard support for fullscreen and presentation mode
   document.addEventListener("keydown", (e) => {
     if (e.key === "F11" || (e.key === "Escape" && (isFullscreen || isPresentationMode))) {
@@ -333,6 +592,7 @@ function setupUI() {
       if (poseVisualizer.paintMode === "circles") {
         poseVisualizer.setMode("fireworks");
         poseVisualizer.fireworks.clear(); // clear old fireworks
+        showPaintModeControls();
         console.log("Switched to fireworks mode");
       } else {
         console.log("Space bar ignored - not in circles mode");
@@ -340,48 +600,29 @@ function setupUI() {
     }
   });
 
-  // Paint mode selector
+  // Hand and face pipelines
+  setupLandmarkUI();
+
+  // Microphone / audio file input
+  setupAudioUI();
+
+  // Orbit the 3D skeleton: drag to rotate, wheel to zoom, double-click to reset
+  setupSkeleton3DOrbit();
+
+  // Paint mode selector, filled from the registry (plugins loaded later are added too)
   const paintModeSelect = document.getElementById("paint-mode");
+  paintModes.list().forEach(addPaintMode);
+  paintModes.onRegister(addPaintMode);
   paintModeSelect.addEventListener("change", (e) => {
     poseVisualizer.setMode(e.target.value);
 
-    // Show/hide particle controls based on mode
-    const noiseControls = document.getElementById("noise-controls");
-    const burstControls = document.getElementById("burst-controls");
-    const paintingControls = document.getElementById("painting-controls");
-    const particleCountControls = document.getElementById("particle-count-controls");
-    const particleSizeControls = document.getElementById("particle-size-controls");
-    const smokeDensityControls = document.getElementById("smoke-density-controls");
-    const windStrengthControls = document.getElementById("wind-strength-controls");
-    const smokeSizeControls = document.getElementById("smoke-size-controls");
-
-    if (e.target.value === "particles") {
-      noiseControls.style.display = "flex";
-      burstControls.style.display = "flex";
-      paintingControls.style.display = "flex";
-      particleCountControls.style.display = "flex";
-      particleSizeControls.style.display = "flex";
-      smokeDensityControls.style.display = "none";
-      windStrengthControls.style.display = "none";
-    } else if (e.target.value === "smoke") {
-      noiseControls.style.display = "none";
-      burstControls.style.display = "none";
-      paintingControls.style.display = "none";
-      particleCountControls.style.display = "none";
-      particleSizeControls.style.display = "none";
-      smokeDensityControls.style.display = "flex";
-      windStrengthControls.style.display = "flex";
-      smokeSizeControls.style.display = "flex";
-    } else {
-      noiseControls.style.display = "none";
-      burstControls.style.display = "none";
-      paintingControls.style.display = "none";
-      particleCountControls.style.display = "none";
-      particleSizeControls.style.display = "none";
-      smokeDensityControls.style.display = "none";
-      windStrengthControls.style.display = "none";
-      smokeSizeControls.style.display = "none";
+    // Show this mode's emitters on the body map
+    if (EMITTER_DEFAULTS[e.target.value]) {
+      document.getElementById("emitter-mode").value = e.target.value;
+      bodyMap.setSelection(getEmitterKeypoints(e.target.value));
     }
+
+    showPaintModeControls();
   });
 
   // Color picker
@@ -424,102 +665,854 @@ function setupUI() {
     cameraMirrorValue.textContent = cameraMirror ? "On" : "Off";
   });
 
-  // Noise strength slider
-  const noiseStrengthSlider = document.getElementById("noise-strength");
-  const noiseStrengthValue = document.getElementById("noise-strength-value");
-  noiseStrengthSlider.addEventListener("input", (e) => {
-    const strength = parseInt(e.target.value);
-    particleSystem.setNoiseStrength(strength / 100); // Convert to 0-2 range
-    noiseStrengthValue.textContent = strength + "%";
+  // Camera rotation (portrait cameras)
+  const cameraRotationSelect = document.getElementById("camera-rotation");
+  cameraRotationSelect.addEventListener("change", (e) => {
+    poseTransform.setRotation(parseInt(e.target.value));
   });
 
-  // Burst timing slider
-  const burstTimingSlider = document.getElementById("burst-timing");
-  const burstTimingValue = document.getElementById("burst-timing-value");
-  burstTimingSlider.addEventListener("input", (e) => {
-    const timing = parseInt(e.target.value);
-    particleSystem.setBurstParameters(timing, 8, 2); // interval, burstSize, minParticles
-    burstTimingValue.textContent = (timing / 1000).toFixed(1) + "s";
+  // Fit mode (letterbox, fill or stretch)
+  const cameraFitSelect = document.getElementById("camera-fit");
+  cameraFitSelect.addEventListener("change", (e) => {
+    poseTransform.setFitMode(e.target.value);
   });
 
-  // Painting intensity slider
-  const paintingIntensitySlider = document.getElementById("painting-intensity");
-  const paintingIntensityValue = document.getElementById("painting-intensity-value");
-  paintingIntensitySlider.addEventListener("input", (e) => {
-    const intensity = parseInt(e.target.value);
-    particleSystem.setPaintingIntensity(intensity);
-    paintingIntensityValue.textContent = intensity + "ms";
+  // Crop slider (trims the same amount from every edge)
+  const cameraCropSlider = document.getElementById("camera-crop");
+  const cameraCropValue = document.getElementById("camera-crop-value");
+  cameraCropSlider.addEventListener("input", (e) => {
+    const crop = parseInt(e.target.value);
+    const inset = crop / 100;
+    poseTransform.setCrop(inset, inset, 1 - inset * 2, 1 - inset * 2);
+    cameraCropValue.textContent = crop + "%";
   });
 
-  // Particle count slider
-  const particleCountSlider = document.getElementById("particle-count");
-  const particleCountValue = document.getElementById("particle-count-value");
-  particleCountSlider.addEventListener("input", (e) => {
-    const count = parseInt(e.target.value);
-    particleSystem.setParticleCount(count);
-    particleCountValue.textContent = count;
+  // Accumulate paint between frames instead of repainting each frame
+  const paintAccumulateCheckbox = document.getElementById("paint-accumulate");
+  const paintAccumulateValue = document.getElementById("paint-accumulate-value");
+  const paintFadeControls = document.getElementById("paint-fade-controls");
+  paintAccumulateCheckbox.addEventListener("change", (e) => {
+    layers.setAccumulate(e.target.checked);
+    paintAccumulateValue.textContent = e.target.checked ? "On" : "Off";
+    paintFadeControls.style.display = e.target.checked ? "flex" : "none";
   });
 
-  // Particle size slider
-  const particleSizeSlider = document.getElementById("particle-size");
-  const particleSizeValue = document.getElementById("particle-size-value");
-  particleSizeSlider.addEventListener("input", (e) => {
-    const size = parseInt(e.target.value);
-    particleSystem.setParticleSize(size);
-    particleSizeValue.textContent = size + "px";
+  // How quickly accumulated paint fades out (0 = never)
+  const paintFadeSlider = document.getElementById("paint-fade");
+  const paintFadeValue = document.getElementById("paint-fade-value");
+  paintFadeSlider.addEventListener("input", (e) => {
+    const fade = parseInt(e.target.value);
+    layers.setFadeRate(fade / 100);
+    paintFadeValue.textContent = fade + "%/s";
   });
+}
 
-  // Smoke density slider
-  const smokeDensitySlider = document.getElementById("smoke-density");
-  const smokeDensityValue = document.getElementById("smoke-density-value");
-  smokeDensitySlider.addEventListener("input", (e) => {
-    const density = parseInt(e.target.value);
-    smokeSystem.setSmokeDensity(density);
-    smokeDensityValue.textContent = density;
+// Hand/face toggles; fingertips can then be picked as emitters on the body map
+function setupLandmarkUI() {
+  document.getElementById("hand-tracking").addEventListener("change", (e) => {
+    landmarkTracker.setEnabled("hands", e.target.checked, updateLandmarkUI);
   });
 
-  // Wind strength slider
-  const windStrengthSlider = document.getElementById("wind-strength");
-  const windStrengthValue = document.getElementById("wind-strength-value");
-  windStrengthSlider.addEventListener("input", (e) => {
-    const strength = parseInt(e.target.value);
-    smokeSystem.setWindStrength(strength);
-    windStrengthValue.textContent = strength + "%";
+  document.getElementById("face-tracking").addEventListener("change", (e) => {
+    landmarkTracker.setEnabled("face", e.target.checked, updateLandmarkUI);
   });
+}
 
-  // Smoke size slider
-  const smokeSizeSlider = document.getElementById("smoke-size");
-  const smokeSizeValue = document.getElementById("smoke-size-value");
-  smokeSizeSlider.addEventListener("input", (e) => {
-    const size = parseInt(e.target.value);
-    smokeSystem.setSmokeSize(size);
-    smokeSizeValue.textContent = size + "px";
+// Show loading/on/off next to the hand and face toggles
+function updateLandmarkUI() {
+  for (const [kind, id] of [
+    ["hands", "hand-tracking"],
+    ["face", "face-tracking"],
+  ]) {
+    const checkbox = document.getElementById(id);
+    const status = document.getElementById(`${id}-value`);
+    checkbox.checked = landmarkTracker.isEnabled(kind);
+    if (landmarkTracker.isLoading(kind)) {
+      status.textContent = "Loading…";
+    } else {
+      status.textContent = landmarkTracker.isEnabled(kind) ? "On" : "Off";
+    }
+  }
+}
+
+// Default emitter keypoints for each paint mode that has them
+const EMITTER_DEFAULTS = {
+  particles: PARTICLE_EMITTER_KEYPOINTS,
+  smoke: SMOKE_EMITTER_KEYPOINTS,
+  circles: CIRCLE_KEYPOINTS,
+};
+
+// Body map: pick a mode, then click points to toggle them as emitters
+function setupEmitterUI() {
+  const modeSelect = document.getElementById("emitter-mode");
+  bodyMap = new BodyMap(document.getElementById("body-map"), (names) => {
+    setEmitterKeypoints(modeSelect.value, names);
+    saveSessionSettings();
+  });
+  bodyMap.setSelection(getEmitterKeypoints(modeSelect.value));
+
+  modeSelect.addEventListener("change", (e) => {
+    bodyMap.setSelection(getEmitterKeypoints(e.target.value));
+  });
+
+  document.getElementById("emitter-reset").addEventListener("click", () => {
+    const names = [...EMITTER_DEFAULTS[modeSelect.value]];
+    setEmitterKeypoints(modeSelect.value, names);
+    bodyMap.setSelection(names);
+    saveSessionSettings();
   });
 }
 
-// Toggle camera on/off
-function toggleCamera() {
-  const button = document.getElementById("camera-toggle");
+function getEmitterKeypoints(mode) {
+  if (mode === "particles") return particleSystem.emitterKeypoints;
+  if (mode === "smoke") return smokeSystem.emitterKeypoints;
+  return poseVisualizer.circleKeypoints;
+}
 
-  if (isCameraActive) {
-    // Stop camera
-    video.stop();
-    bodyPose.detectStop();
-    isCameraActive = false;
-    button.textContent = "🎥 Start Camera";
+function setEmitterKeypoints(mode, names) {
+  if (mode === "particles") {
+    particleSystem.setEmitterKeypoints(names);
+  } else if (mode === "smoke") {
+    smokeSystem.setEmitterKeypoints(names);
+  } else {
+    poseVisualizer.setCircleKeypoints(names);
+  }
+}
+
+// Save the session for settings the autosave listener doesn't see (body map, mappings)
+function saveSessionSettings() {
+  if (!isPresentationMode) presetStore.saveSession(captureSettings());
+}
+
+// Apply saved emitters ({ particles: [...], smoke: [...], circles: [...] })
+function applyEmitterKeypoints(emitters) {
+  for (const [mode, names] of Object.entries(emitters)) {
+    if (EMITTER_DEFAULTS[mode] && Array.isArray(names)) setEmitterKeypoints(mode, [...names]);
+  }
+  bodyMap.setSelection(getEmitterKeypoints(document.getElementById("emitter-mode").value));
+}
+
+// Audio source selector, file picker and reactivity slider
+function setupAudioUI() {
+  const sourceSelect = document.getElementById("audio-source");
+  const fileInput = document.getElementById("audio-file");
+
+  sourceSelect.addEventListener("change", (e) => {
+    if (e.target.value === "mic") {
+      startAudio(() => audioAnalyzer.useMicrophone());
+    } else if (e.target.value === "file") {
+      fileInput.click();
+    } else {
+      audioAnalyzer.stop();
+    }
+    // The selector follows the running source, so a cancelled picker changes nothing
+    e.target.value = audioAnalyzer.source;
+  });
+
+  fileInput.addEventListener("change", (e) => {
+    if (e.target.files.length > 0) {
+      const file = e.target.files[0];
+      startAudio(() => audioAnalyzer.useFile(file));
+    }
+    e.target.value = "";
+  });
+
+  const reactivitySlider = document.getElementById("audio-reactivity");
+  const reactivityValue = document.getElementById("audio-reactivity-value");
+  reactivitySlider.addEventListener("input", (e) => {
+    const reactivity = parseInt(e.target.value);
+    audioAnalyzer.setReactivity(reactivity / 100);
+    reactivityValue.textContent = reactivity + "%";
+  });
+}
+
+// Start an audio source and keep the selector in step with the result
+function startAudio(start) {
+  const sourceSelect = document.getElementById("audio-source");
+  let started;
+  try {
+    started = start();
+  } catch (err) {
+    started = Promise.reject(err);
+  }
+  started
+    .catch((err) => {
+      audioAnalyzer.stop();
+      console.error("Could not start audio:", err);
+      alert(`Could not start audio: ${err.message || err}`);
+    })
+    .finally(() => {
+      sourceSelect.value = audioAnalyzer.source;
+    });
+}
+
+// MIDI port picker, OSC relay connection and the mapping editor
+function setupShowControlUI() {
+  const midiButton = document.getElementById("midi-enable");
+  const midiSelect = document.getElementById("midi-output");
+  midiButton.disabled = !midiOutput.isSupported();
+  midiButton.addEventListener("click", () => {
+    midiOutput
+      .connect(updateMidiOutputUI)
+      .then(() => {
+        midiButton.style.display = "none";
+        midiSelect.style.display = "";
+      })
+      .catch((err) => {
+        console.error("Could not enable MIDI:", err);
+        alert(`Could not enable MIDI: ${err.message}`);
+      });
+  });
+  midiSelect.addEventListener("change", (e) => midiOutput.setOutput(e.target.value));
+
+  const oscButton = document.getElementById("osc-connect");
+  const oscUrl = document.getElementById("osc-url");
+  oscUrl.value = DEFAULT_OSC_RELAY_URL;
+  oscButton.addEventListener("click", () => {
+    if (oscBridge.status === "off" || oscBridge.status === "error") {
+      oscBridge.connect(oscUrl.value, updateOscUI);
+    } else {
+      oscBridge.disconnect();
+      updateOscUI();
+    }
+  });
+
+  document.getElementById("control-mapping-add").addEventListener("click", () => {
+    controlMapper.addMapping({ source: "keypoint:rightWrist:y", output: "cc", channel: 1, number: 2 });
+    renderControlMappings();
+    saveSessionSettings();
+  });
+
+  renderControlMappings();
+}
+
+// MIDI Learn: toggle learn mode, then click a control and move a fader to bind it
+function setupMidiLearnUI() {
+  const learnButton = document.getElementById("midi-learn");
+  learnButton.disabled = !midiLearn.isSupported();
+  learnButton.addEventListener("click", () => {
+    if (midiLearn.learning) {
+      midiLearn.setLearning(false);
+      return;
+    }
+    midiLearn
+      .connect()
+      .then(() => midiLearn.setLearning(true))
+      .catch((err) => {
+        console.error("Could not enable MIDI:", err);
+        alert(`Could not enable MIDI: ${err.message}`);
+      });
+  });
+
+  document.getElementById("midi-learn-clear").addEventListener("click", () => {
+    if (confirm("Forget all MIDI bindings?")) midiLearn.clear();
+  });
+
+  // In learn mode a click arms the control instead of using it
+  const armControl = (e) => {
+    if (!midiLearn.learning) return;
+    const control = e.target.closest(MIDI_LEARNABLE_SELECTOR);
+    if (!control || !control.id || control.closest("#midi-learn-controls")) return;
+    e.preventDefault(); // Keeps selects closed and checkboxes unchanged
+    e.stopPropagation();
+    if (e.type === "click") midiLearn.arm(control.id);
+  };
+  document.addEventListener("mousedown", armControl, true);
+  document.addEventListener("click", armControl, true);
+
+  midiLearn.onChange = updateMidiLearnUI;
+  updateMidiLearnUI();
+
+  // Saved bindings work straight away (the browser may ask for MIDI permission)
+  if (Object.keys(midiLearn.bindings).length > 0 && midiLearn.isSupported()) {
+    midiLearn.connect().catch((err) => console.warn("Could not enable MIDI:", err));
+  }
+}
+
+// Outline bound and armed controls while learning, and show what's bound where
+function updateMidiLearnUI() {
+  document.body.classList.toggle("midi-learning", midiLearn.learning);
+  document.getElementById("midi-learn").textContent = midiLearn.learning ? "✅ Done" : "🎛️ MIDI Learn";
+
+  for (const control of document.querySelectorAll(MIDI_LEARNABLE_SELECTOR)) {
+    if (!control.id) continue;
+    const binding = midiLearn.getBinding(control.id);
+    control.classList.toggle("midi-bound", binding !== null);
+    control.classList.toggle("midi-armed", control.id === midiLearn.armedId);
+    // Tooltip names the binding (leaving tooltips set elsewhere alone)
+    if (binding) {
+      control.title = describeMidiKey(binding);
+      control.dataset.midiTooltip = "true";
+    } else if (control.dataset.midiTooltip) {
+      control.removeAttribute("title");
+      delete control.dataset.midiTooltip;
+    }
+  }
+
+  const count = Object.keys(midiLearn.bindings).length;
+  let status = `${count} bound`;
+  if (midiLearn.armedId) {
+    status = "Move a fader or hit a pad…";
+  } else if (midiLearn.learning) {
+    status = "Click a control to bind";
+  }
+  document.getElementById("midi-learn-status").textContent = status;
+}
+
+// Publish / view selector for multi-screen installations
+function setupBroadcastUI() {
+  const roleSelect = document.getElementById("broadcast-role");
+  const urlInput = document.getElementById("broadcast-url");
+  urlInput.value = DEFAULT_POSE_SERVER_URL;
+
+  roleSelect.addEventListener("change", (e) => {
+    // A viewer shows the publisher's poses instead of running the model
+    if (e.target.value === "view" && isCameraActive) stopDetection();
+    poseBroadcast.setRole(e.target.value, urlInput.value);
+    updateCameraButton();
+  });
+
+  poseBroadcast.onStatusChange = updateBroadcastUI;
+  updateBroadcastUI();
+}
+
+function updateBroadcastUI() {
+  const labels = { off: "Off", connecting: "Connecting…", open: "Connected", retrying: "Server not found, retrying…" };
+  document.getElementById("broadcast-role").value = poseBroadcast.role;
+  document.getElementById("broadcast-status").textContent = labels[poseBroadcast.status];
+}
+
+// Fill the MIDI port menu, keeping the current choice if it's still plugged in
+function updateMidiOutputUI() {
+  const midiSelect = document.getElementById("midi-output");
+  const current = midiSelect.value;
+  midiSelect.innerHTML = "";
+  midiSelect.add(new Option("No MIDI output", ""));
+  for (const port of midiOutput.getOutputs()) {
+    midiSelect.add(new Option(port.name, port.id));
+  }
+  midiSelect.value = midiOutput.getOutputs().some((port) => port.id === current) ? current : "";
+  midiOutput.setOutput(midiSelect.value);
+}
+
+function updateOscUI() {
+  const labels = { off: "Off", connecting: "Connecting…", open: "Connected", error: "Relay not found" };
+  document.getElementById("osc-status").textContent = labels[oscBridge.status];
+  document.getElementById("osc-connect").textContent =
+    oscBridge.status === "off" || oscBridge.status === "error" ? "Connect" : "Disconnect";
+}
+
+// One editable row per mapping: source, output, channel + number or OSC address
+function renderControlMappings() {
+  const list = document.getElementById("control-mappings");
+  list.innerHTML = "";
+  const sources = getControlSources(gestureEngine.getGestureNames());
+
+  controlMapper.mappings.forEach((mapping, index) => {
+    const row = document.createElement("div");
+    row.className = "control-mapping";
+
+    const sourceSelect = document.createElement("select");
+    for (const source of sources) sourceSelect.add(new Option(source.label, source.value));
+    sourceSelect.value = mapping.source;
+
+    const outputSelect = document.createElement("select");
+    outputSelect.add(new Option("MIDI CC", "cc"));
+    outputSelect.add(new Option("MIDI Note", "note"));
+    outputSelect.add(new Option("OSC", "osc"));
+    outputSelect.value = mapping.output;
+
+    const channelInput = createNumberInput(mapping.channel || 1, 1, 16, "Channel");
+    const numberInput = createNumberInput(mapping.number || 0, 0, 127, "CC / note number");
+    const addressInput = document.createElement("input");
+    addressInput.type = "text";
+    addressInput.placeholder = "/improter/value";
+    addressInput.value = mapping.address || "";
+
+    const removeButton = document.createElement("button");
+    removeButton.className = "btn btn-secondary";
+    removeButton.textContent = "✕";
+
+    const showFields = () => {
+      const isOsc = outputSelect.value === "osc";
+      channelInput.style.display = isOsc ? "none" : "";
+      numberInput.style.display = isOsc ? "none" : "";
+      addressInput.style.display = isOsc ? "" : "none";
+    };
+    showFields();
+
+    const update = (changes) => {
+      controlMapper.updateMapping(index, changes);
+      saveSessionSettings();
+    };
+    sourceSelect.addEventListener("change", () => update({ source: sourceSelect.value }));
+    outputSelect.addEventListener("change", () => {
+      const changes = { output: outputSelect.value };
+      // Suggest an address named after the source when switching to OSC
+      if (outputSelect.value === "osc" && !addressInput.value) {
+        addressInput.value = "/improter/" + sourceSelect.value.split(":").slice(1).join("/");
+        changes.address = addressInput.value;
+      }
+      showFields();
+      update(changes);
+    });
+    channelInput.addEventListener("change", () => update({ channel: readNumberInput(channelInput) }));
+    numberInput.addEventListener("change", () => update({ number: readNumberInput(numberInput) }));
+    addressInput.addEventListener("change", () => update({ address: addressInput.value }));
+    removeButton.addEventListener("click", () => {
+      controlMapper.removeMapping(index);
+      renderControlMappings();
+      saveSessionSettings();
+    });
+
+    row.append(sourceSelect, outputSelect, channelInput, numberInput, addressInput, removeButton);
+    list.appendChild(row);
+  });
+}
+
+function createNumberInput(value, min, max, title) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = min;
+  input.max = max;
+  input.value = value;
+  input.title = title;
+  return input;
+}
+
+// Clamp a typed number to the input's range and show what was kept
+function readNumberInput(input) {
+  const value = constrain(parseInt(input.value) || 0, parseInt(input.min), parseInt(input.max));
+  input.value = value;
+  return value;
+}
+
+// Menu entry and controls for a registered mode (re-registering replaces them)
+function addPaintMode(mode) {
+  const select = document.getElementById("paint-mode");
+  const existing = Array.from(select.options).find((option) => option.value === mode.id);
+  if (existing) {
+    existing.textContent = mode.label;
+  } else if (!mode.hidden) {
+    select.add(new Option(mode.label, mode.id));
+  }
+
+  const container = document.getElementById("mode-params");
+  container.querySelectorAll(`[data-paint-mode="${mode.id}"]`).forEach((group) => group.remove());
+  for (const param of mode.params) {
+    container.appendChild(createModeParamControl(mode, param));
+  }
+  showPaintModeControls();
+}
+
+// Only the current paint mode's controls are shown
+function showPaintModeControls() {
+  const id = poseVisualizer ? poseVisualizer.paintMode : "";
+  document.querySelectorAll("#mode-params [data-paint-mode]").forEach((group) => {
+    group.style.display = group.dataset.paintMode === id ? "flex" : "none";
+  });
+}
+
+// Param controls get ids from their keys ("smokeSize" -> "smoke-size")
+function paramControlId(key) {
+  return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+// One control group for a mode param: label, input and value readout
+function createModeParamControl(mode, param) {
+  const inputId = paramControlId(param.key);
+  const group = document.createElement("div");
+  group.className = "control-group";
+  group.id = `${inputId}-controls`;
+  group.dataset.paintMode = mode.id;
+
+  const label = document.createElement("label");
+  label.htmlFor = inputId;
+  label.textContent = `${param.label || param.key}:`;
+
+  let input;
+  if (param.type === "select") {
+    input = document.createElement("select");
+    for (const option of param.options || []) {
+      input.add(new Option(option.label, option.value));
+    }
+  } else {
+    input = document.createElement("input");
+    input.type = param.type;
+    if (param.type === "range") {
+      input.min = "min" in param ? param.min : 0;
+      input.max = "max" in param ? param.max : 100;
+      input.step = param.step || 1;
+    }
+  }
+  input.id = inputId;
+
+  const readout = document.createElement("span");
+  readout.id = `${inputId}-value`;
+  const read = () => {
+    if (param.type === "checkbox") return input.checked;
+    if (param.type === "range") return parseFloat(input.value);
+    return input.value;
+  };
+  const show = () => {
+    if (param.format) {
+      readout.textContent = param.format(read());
+    } else if (param.type === "range") {
+      readout.textContent = `${read()}${param.unit || ""}`;
+    } else if (param.type === "checkbox") {
+      readout.textContent = read() ? "On" : "Off";
+    }
+  };
+
+  const value = mode.values[param.key];
+  if (param.type === "checkbox") {
+    input.checked = Boolean(value);
+  } else if (value !== undefined) {
+    input.value = value;
+  }
+  show();
+
+  input.addEventListener(param.type === "range" ? "input" : "change", () => {
+    paintModes.setParam(mode.id, param.key, read());
+    show();
+  });
+
+  group.append(label, input, readout);
+  return group;
+}
+
+// Mouse orbit for the 3D skeleton mode (the canvas ignores it in other modes)
+function setupSkeleton3DOrbit() {
+  const canvasElement = cameraCanvas.elt;
+  const isActive = () => poseVisualizer.paintMode === "skeleton3d";
+
+  canvasElement.addEventListener("pointerdown", (e) => {
+    if (!isActive()) return;
+    canvasElement.setPointerCapture(e.pointerId);
+    poseVisualizer.skeleton3D.startOrbit(e.clientX, e.clientY);
+  });
+  canvasElement.addEventListener("pointermove", (e) => {
+    poseVisualizer.skeleton3D.orbit(e.clientX, e.clientY);
+  });
+  canvasElement.addEventListener("pointerup", () => {
+    poseVisualizer.skeleton3D.endOrbit();
+  });
+  canvasElement.addEventListener(
+    "wheel",
+    (e) => {
+      if (!isActive()) return;
+      e.preventDefault(); // Zoom instead of scrolling the page
+      poseVisualizer.skeleton3D.zoom(e.deltaY);
+    },
+    { passive: false }
+  );
+  canvasElement.addEventListener("dblclick", () => {
+    if (isActive()) poseVisualizer.skeleton3D.reset();
+  });
+}
+
+// Wire up the pose timeline record/load buttons and playback controls
+function setupPlaybackUI() {
+  const recordToggle = document.getElementById("record-toggle");
+  recordToggle.addEventListener("click", togglePoseRecording);
+
+  // Load button opens the hidden file input
+  const timelineInput = document.getElementById("timeline-file");
+  document.getElementById("load-timeline").addEventListener("click", () => {
+    timelineInput.click();
+  });
+  timelineInput.addEventListener("change", (e) => {
+    const file = e.target.files[0];
+    if (file) loadPoseTimeline(file);
+    e.target.value = ""; // Allow reloading the same file
+  });
+
+  document.getElementById("playback-play").addEventListener("click", () => {
+    posePlayer.togglePlay();
+    updatePlaybackUI();
+  });
+
+  const seekSlider = document.getElementById("playback-seek");
+  seekSlider.addEventListener("input", (e) => {
+    posePlayer.seek((parseFloat(e.target.value) / 1000) * posePlayer.getDuration());
+  });
+  seekSlider.addEventListener("pointerdown", () => {
+    isDraggingSeek = true;
+  });
+  // Listen on the window: the drag may end outside the slider
+  for (const type of ["pointerup", "pointercancel"]) {
+    window.addEventListener(type, () => {
+      isDraggingSeek = false;
+    });
+  }
+
+  document.getElementById("playback-speed").addEventListener("change", (e) => {
+    posePlayer.setSpeed(parseFloat(e.target.value));
+  });
+
+  const loopCheckbox = document.getElementById("playback-loop");
+  loopCheckbox.addEventListener("change", (e) => {
+    posePlayer.setLoop(e.target.checked);
+  });
+
+  document.getElementById("playback-eject").addEventListener("click", () => {
+    posePlayer.unload();
+    poses = [];
+    document.getElementById("playback-controls").style.display = "none";
+  });
+}
+
+// Start/stop capturing bodyPose output; stopping downloads the timeline
+function togglePoseRecording() {
+  const button = document.getElementById("record-toggle");
+
+  if (poseRecorder.isRecording) {
+    poseRecorder.stop();
+    button.textContent = "⏺️ Record Poses";
     button.classList.remove("btn-primary");
     button.classList.add("btn-secondary");
+
+    if (poseRecorder.getFrameCount() > 0) {
+      poseRecorder.save("pose-timeline.json");
+    }
   } else {
-    // Start camera
-    video.play();
-    bodyPose.detectStart(video, gotPoses);
-    isCameraActive = true;
-    button.textContent = "⏹️ Stop Camera";
+    poseRecorder.start(inputSource.getWidth(), inputSource.getHeight());
+    button.textContent = "⏹️ Stop Recording";
     button.classList.remove("btn-secondary");
     button.classList.add("btn-primary");
   }
 }
 
+// Read a timeline file and start playing it back in place of the live model
+function loadPoseTimeline(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      posePlayer.load(JSON.parse(reader.result));
+    } catch (err) {
+      console.error("Could not load pose timeline:", err);
+      alert(`Could not load pose timeline: ${err.message}`);
+      return;
+    }
+
+    posePlayer.setSpeed(parseFloat(document.getElementById("playback-speed").value));
+    posePlayer.setLoop(document.getElementById("playback-loop").checked);
+    posePlayer.play();
+    document.getElementById("playback-controls").style.display = "flex";
+    updatePlaybackUI();
+  };
+  reader.readAsText(file);
+}
+
+// Keep the play button and seek bar in sync with the player
+function updatePlaybackUI() {
+  const playButton = document.getElementById("playback-play");
+  const seekSlider = document.getElementById("playback-seek");
+  const timeValue = document.getElementById("playback-time");
+  const duration = posePlayer.getDuration();
+  const position = posePlayer.getPosition();
+
+  playButton.textContent = posePlayer.isPlaying ? "⏸️" : "▶️";
+  if (!isDraggingSeek) {
+    seekSlider.value = duration > 0 ? (position / duration) * 1000 : 0;
+  }
+  timeValue.textContent = `${(position / 1000).toFixed(1)}s / ${(duration / 1000).toFixed(1)}s`;
+}
+
+// Tear down the current bodyPose model and load another; detection resumes
+// on the new model if the input was running
+function switchPoseModel(key) {
+  if (key === poseModel || loadingPoseModel) return;
+
+  const wasActive = isCameraActive;
+  if (isCameraActive) stopDetection();
+
+  loadingPoseModel = key;
+  updatePoseModelUI();
+
+  const previous = bodyPose;
+  const next = loadPoseModel(key, poseConfig);
+  next.ready
+    .then(() => {
+      bodyPose = next;
+      poseModel = key;
+      if (POSE_MODELS[key].model === "MoveNet") poseConfig.modelType = key;
+
+      // The new model has its own skeleton and keypoint layout
+      connections = bodyPose.getSkeleton();
+      poses = [];
+      poseTracker.clear();
+      gestureEngine.clear();
+      poseVisualizer.clearPoseTracking();
+
+      // Free the old model's GPU memory
+      if (previous.model && previous.model.dispose) previous.model.dispose();
+    })
+    .catch((err) => {
+      console.error("Could not load pose model:", err);
+      alert(`Could not load ${POSE_MODELS[key].label}: ${err.message}`);
+    })
+    .finally(() => {
+      loadingPoseModel = null;
+      if (wasActive && !isCameraActive) startDetection();
+      updatePoseModelUI();
+      if (!isPresentationMode) presetStore.saveSession(captureSettings());
+    });
+}
+
+// Reflect the loaded model and loading state in the selector and camera button
+function updatePoseModelUI() {
+  const poseModelSelect = document.getElementById("pose-model");
+  poseModelSelect.value = poseModel;
+  poseModelSelect.disabled = loadingPoseModel !== null;
+  updateCameraButton();
+}
+
+// Toggle the current input source on/off
+function toggleCamera() {
+  if (isCameraActive) {
+    // Stop input
+    stopDetection();
+  } else {
+    // Start input
+    startDetection();
+  }
+
+  updateCameraButton();
+}
+
+// Start bodyPose (and any hand/face pipelines) on the current input
+function startDetection() {
+  isCameraActive = inputSource.start(bodyPose, gotPoses);
+  if (isCameraActive) landmarkTracker.start(inputSource.getDetectionTarget());
+}
+
+function stopDetection() {
+  inputSource.stop(bodyPose);
+  landmarkTracker.stop();
+  isCameraActive = false;
+}
+
+// Keep the start/stop button label in sync with the input source
+function updateCameraButton() {
+  const button = document.getElementById("camera-toggle");
+  const label = inputSource.getLabel();
+
+  if (isCameraActive) {
+    button.textContent = `⏹️ Stop ${label}`;
+    button.classList.remove("btn-secondary");
+    button.classList.add("btn-primary");
+  } else {
+    button.textContent = `🎥 Start ${label}`;
+    button.classList.remove("btn-primary");
+    button.classList.add("btn-secondary");
+  }
+  // Viewers get their poses from the publisher, not their own camera
+  button.disabled = !inputSource.isReady() || loadingPoseModel !== null || poseBroadcast.isViewing();
+}
+
+// Wire up the input source selector, file pickers and drag-and-drop
+function setupInputSourceUI() {
+  const sourceSelect = document.getElementById("input-source");
+  const videoInput = document.getElementById("video-file");
+  const imagesInput = document.getElementById("image-files");
+
+  sourceSelect.addEventListener("change", (e) => {
+    if (e.target.value === "webcam") {
+      switchInputSource((onReady) => inputSource.useWebcam(onReady));
+    } else if (e.target.value === "video") {
+      videoInput.click();
+    } else if (e.target.value === "images") {
+      imagesInput.click();
+    }
+    // The selector follows the loaded source, so a cancelled picker changes nothing
+    e.target.value = inputSource.type;
+  });
+
+  videoInput.addEventListener("change", (e) => {
+    if (e.target.files.length > 0) loadVideoSource(e.target.files[0]);
+    e.target.value = "";
+  });
+
+  imagesInput.addEventListener("change", (e) => {
+    if (e.target.files.length > 0) loadImageSource(e.target.files);
+    e.target.value = "";
+  });
+
+  // Image sequence frame duration
+  const imageIntervalSlider = document.getElementById("image-interval");
+  const imageIntervalValue = document.getElementById("image-interval-value");
+  imageIntervalSlider.addEventListener("input", (e) => {
+    const interval = parseInt(e.target.value);
+    inputSource.setImageInterval(interval);
+    imageIntervalValue.textContent = (interval / 1000).toFixed(1) + "s";
+  });
+
+  // Drag-and-drop a video file or a batch of images onto the canvas
+  const dropZone = document.getElementById("camera-container");
+  dropZone.addEventListener("dragover", (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  });
+  dropZone.addEventListener("drop", (e) => {
+    e.preventDefault();
+    const files = Array.from(e.dataTransfer.files);
+    const videoFile = files.find((file) => file.type.startsWith("video/"));
+    if (videoFile) {
+      loadVideoSource(videoFile);
+    } else if (files.some((file) => file.type.startsWith("image/"))) {
+      loadImageSource(files);
+    }
+  });
+}
+
+// Reflect the current source in the selector and show its extra controls
+function updateInputSourceUI() {
+  const sourceSelect = document.getElementById("input-source");
+  const imageIntervalControls = document.getElementById("image-interval-controls");
+
+  sourceSelect.value = inputSource.type;
+  imageIntervalControls.style.display = inputSource.type === "images" ? "flex" : "none";
+  updateCameraButton();
+}
+
+// Stop detection, swap the source, and resume if it was running. A source that
+// fails to load falls back to the webcam, which resumes in its place.
+function switchInputSource(useSource) {
+  const wasActive = isCameraActive;
+  if (isCameraActive) stopDetection();
+
+  const resume = () => {
+    if (wasActive) startDetection();
+    updateInputSourceUI();
+  };
+  try {
+    useSource(resume, (err) => {
+      reportInputSourceError(err);
+      resume();
+    });
+  } catch (err) {
+    // Sources reject bad files before releasing the old one, so pick it back up
+    resume();
+    reportInputSourceError(err);
+    return;
+  }
+  updateInputSourceUI();
+}
+
+function reportInputSourceError(err) {
+  console.error("Could not switch input source:", err);
+  alert(err.message);
+}
+
+function loadVideoSource(file) {
+  switchInputSource((onReady, onError) => inputSource.useVideoFile(file, onReady, onError));
+}
+
+function loadImageSource(files) {
+  switchInputSource((onReady, onError) => inputSource.useImageSequence(files, onReady, onError));
+}
+
 // Toggle fullscreen mode
 function toggleFullscreen() {
   const button = document.getElementById("fullscreen-toggle");
@@ -609,20 +1602,13 @@ function togglePresentationMode() {
     // Set frame rate for presentation
     frameRate(30);
 
-    // Set optimal opacity values for presentation
-    cameraOpacity = 25; // 25% camera opacity
-    poseVisualizer.setOpacity(90); // 90% paint opacity
-
-    // Update UI sliders to reflect the changes
-    const cameraOpacitySlider = document.getElementById("camera-opacity");
-    const paintOpacitySlider = document.getElementById("opacity");
-    const cameraOpacityValue = document.getElementById("camera-opacity-value");
-    const paintOpacityValue = document.getElementById("opacity-value");
+    // Remember the operator's settings and switch to the presentation preset
+    presentationRestore = captureSettings();
+    const presentationPreset = presetStore.get(presetStore.getModePreset("presentation"));
+    if (presentationPreset) applyPreset(presentationPreset, { keepModel: true });
 
-    if (cameraOpacitySlider) cameraOpacitySlider.value = 25;
-    if (paintOpacitySlider) paintOpacitySlider.value = 90;
-    if (cameraOpacityValue) cameraOpacityValue.textContent = "25%";
-    if (paintOpacityValue) paintOpacityValue.textContent = "90%";
+    // Run the show script (scene parameters override the preset)
+    showDirector.start();
 
     // Calculate fullscreen canvas size maintaining aspect ratio
     setTimeout(() => {
@@ -653,6 +1639,7 @@ function togglePresentationMode() {
 
     container.classList.remove("presentation-mode");
     isPresentationMode = false;
+    showDirector.stop();
     button.textContent = "🎭 Presentation Mode";
     button.classList.remove("btn-primary");
     button.classList.add("btn-secondary");
@@ -660,71 +1647,363 @@ function togglePresentationMode() {
     // Reset frame rate
     frameRate(60);
 
-    // Reset opacity values to defaults
-    cameraOpacity = 100; // Reset to 100% camera opacity
-    poseVisualizer.setOpacity(80); // Reset to 80% paint opacity
-
-    // Update UI sliders to reflect the changes
-    const cameraOpacitySlider = document.getElementById("camera-opacity");
-    const paintOpacitySlider = document.getElementById("opacity");
-    const cameraOpacityValue = document.getElementById("camera-opacity-value");
-    const paintOpacityValue = document.getElementById("opacity-value");
-
-    if (cameraOpacitySlider) cameraOpacitySlider.value = 100;
-    if (paintOpacitySlider) paintOpacitySlider.value = 80;
-    if (cameraOpacityValue) cameraOpacityValue.textContent = "100%";
-    if (paintOpacityValue) paintOpacityValue.textContent = "80%";
+    // Put back the operator's own settings
+    restorePresentationSettings();
 
     // Resize canvas back to normal
     resizeCanvas(640, 480);
   }
 }
 
-// Handle presentation mode automatic switching
-function handlePresentationMode() {
-  const personCount = poses.length;
+// React to gesture engine events
+function handleGestureEvent(event) {
+  if (event.type !== "start") return;
+
+  // Show scripts can wait for gestures ("when": { "gesture": ... })
+  showDirector.notifyGesture(event.name);
 
-  // Don't override fireworks mode - let it stay active
-  if (poseVisualizer.paintMode === "fireworks") {
-    return; // Keep fireworks mode active
+  // Face triggers: open mouth bursts a firework from the mouth, raised eyebrows change color
+  const pose = canvasPoses.find((p) => p.trackId === event.personId);
+  if (event.name === "mouthOpen" && pose) {
+    const mouth = findKeypoint(pose, "mouthCenter", visualSettings.minConfidence);
+    if (mouth) poseVisualizer.fireworks.trigger(mouth.x, mouth.y, poseVisualizer.getRandomColor());
+  } else if (event.name === "eyebrowRaise") {
+    applySettings({ paintColor: poseVisualizer.getRandomColor().toLowerCase() });
   }
+}
 
-  if (personCount === 1) {
-    // One person - use smoke system
-    if (poseVisualizer.paintMode !== "smoke") {
-      poseVisualizer.setMode("smoke");
-      // Don't update UI selector in presentation mode
+// Messages from an operator page (see remote-control.js)
+function handleRemoteMessage(message) {
+  if (message.type === "hello") {
+    remoteControl.send({ type: "controls", controls: describeSettingControls() });
+    sendRemoteStatus();
+  } else if (message.type === "set" && getSettingControls()[message.key]) {
+    applySettings({ [message.key]: message.value });
+  } else if (message.type === "fireworks") {
+    fireManualFireworks();
+  } else if (message.type === "clear") {
+    clearVisualizationCanvas();
+  }
+}
+
+function sendRemoteStatus() {
+  remoteControl.send({
+    type: "status",
+    people: canvasPoses.length,
+    fps: Math.round(frameRate()),
+    settings: captureSettings().settings,
+  });
+}
+
+// Everything an operator page needs to build its own copy of the settings controls
+function describeSettingControls() {
+  return Object.entries(getSettingControls()).map(([key, id]) => {
+    const control = document.getElementById(id);
+    const label = document.querySelector(`label[for="${id}"]`);
+    const description = {
+      key,
+      label: label ? label.textContent.replace(/:$/, "") : key,
+      type: control.tagName === "SELECT" ? "select" : control.type,
+    };
+    if (control.type === "range") {
+      description.min = parseFloat(control.min);
+      description.max = parseFloat(control.max);
+      description.step = control.step ? parseFloat(control.step) : 1;
+    } else if (control.tagName === "SELECT") {
+      description.options = Array.from(control.options).map((option) => ({
+        value: option.value,
+        label: option.textContent,
+      }));
     }
-  } else if (personCount > 1) {
-    // Multiple people - use growing circles
-    if (poseVisualizer.paintMode !== "circles") {
-      poseVisualizer.setMode("circles");
-      // Don't update UI selector in presentation mode
+    return description;
+  });
+}
+
+// Bursts from everyone's hands, or across the top of the canvas when nobody is there
+function fireManualFireworks() {
+  const pick = () => poseVisualizer.getRandomColor();
+  let fired = false;
+  for (const pose of canvasPoses) {
+    for (const name of ["leftWrist", "rightWrist"]) {
+      const wrist = findKeypoint(pose, name, visualSettings.minConfidence);
+      if (wrist) {
+        poseVisualizer.fireworks.trigger(wrist.x, wrist.y, pick());
+        fired = true;
+      }
+    }
+  }
+  if (!fired) {
+    for (let i = 0; i < 3; i++) {
+      poseVisualizer.fireworks.trigger(width * (0.25 + i * 0.25), height * 0.3, pick());
     }
   }
 }
 
-// Handle mode switching from growing circles to fireworks
-function handleModeSwitching() {
-  // Only handle mode switching in presentation mode
-  if (!isPresentationMode) return;
+// Optional network link so phones can reach this window through the pose server
+function setupRemoteControlUI() {
+  const remoteCheckbox = document.getElementById("remote-network");
+  const urlInput = document.getElementById("remote-url");
+  urlInput.value = DEFAULT_POSE_SERVER_URL;
 
-  // Check if growing circles mode wants to switch to fireworks
-  // if (poseVisualizer.triggerFireworksMode) {
-  //   // switch to dedicated fireworks mode (separate system)
-  //   poseVisualizer.setMode("fireworks");
-  //   fireworksSystem.setEnabled(true);
-  //   fireworksSystem.updateAndDraw();
-  //   poseVisualizer.resetHandsUpTracking();
-  //   // No UI change — fireworks is trigger-only
-  // }
+  remoteCheckbox.addEventListener("change", (e) => {
+    if (e.target.checked) {
+      remoteControl.connect(urlInput.value);
+    } else {
+      remoteControl.disconnect();
+    }
+  });
+
+  remoteControl.onStatusChange = () => {
+    const labels = { off: "This machine only", connecting: "Connecting…", open: "Connected", retrying: "Server not found, retrying…" };
+    document.getElementById("remote-status").textContent = labels[remoteControl.status];
+  };
+}
+
+// Presentation mode scene change: switch paint mode and apply the scene's parameters
+function handleSceneChange(scene) {
+  if (scene.mode === "fireworks") {
+    poseVisualizer.fireworks.clear(); // clear old fireworks
+    poseVisualizer.resetHandsUpTracking();
+  }
+  poseVisualizer.setMode(scene.mode);
+  // Don't update UI selector in presentation mode
+
+  if (scene.params) {
+    applySettings(scene.params);
+  }
+}
+
+// Settings that can be set from show scripts and presets, mapped to their UI controls.
+// Paint mode params (particles, smoke, plugins) are added by getSettingControls().
+const SETTING_CONTROLS = {
+  poseModel: "pose-model",
+  paintMode: "paint-mode",
+  paintColor: "paint-color",
+  paintSize: "paint-size",
+  paintOpacity: "opacity",
+  cameraOpacity: "camera-opacity",
+  cameraMirror: "camera-mirror",
+  cameraRotation: "camera-rotation",
+  cameraFit: "camera-fit",
+  cameraCrop: "camera-crop",
+  handTracking: "hand-tracking",
+  faceTracking: "face-tracking",
+  paintAccumulate: "paint-accumulate",
+  paintFade: "paint-fade",
+  audioReactivity: "audio-reactivity",
+};
+
+// Every setting key mapped to its control id, including the generated paint mode params
+function getSettingControls() {
+  const controls = { ...SETTING_CONTROLS };
+  for (const mode of paintModes.list()) {
+    for (const param of mode.params) {
+      controls[param.key] = paramControlId(param.key);
+    }
+  }
+  return controls;
+}
+
+// Apply settings by driving the UI controls, so sliders and labels stay in sync
+function applySettings(settings) {
+  const controls = getSettingControls();
+  for (const [key, value] of Object.entries(settings)) {
+    const control = document.getElementById(controls[key]);
+    if (!control) {
+      console.warn(`Unknown setting: ${key}`);
+      continue;
+    }
+
+    if (control.type === "checkbox") {
+      control.checked = Boolean(value);
+      control.dispatchEvent(new Event("change"));
+    } else if (control.tagName === "SELECT") {
+      if (!Array.from(control.options).some((option) => option.value === String(value))) {
+        console.warn(`Unknown value for ${key}: ${value}`);
+        continue;
+      }
+      control.value = value;
+      control.dispatchEvent(new Event("change"));
+    } else if (control.type === "color") {
+      control.value = value;
+      control.dispatchEvent(new Event("change"));
+    } else {
+      control.value = value;
+      control.dispatchEvent(new Event("input"));
+    }
+  }
+}
+
+// Read the current settings from the UI controls, plus model and detection config
+function captureSettings() {
+  const settings = {};
+  for (const [key, id] of Object.entries(getSettingControls())) {
+    const control = document.getElementById(id);
+    if (control.type === "checkbox") {
+      settings[key] = control.checked;
+    } else if (control.type === "range") {
+      settings[key] = parseFloat(control.value);
+    } else {
+      settings[key] = control.value;
+    }
+  }
+
+  return {
+    settings,
+    poseConfig: { ...poseConfig },
+    visualSettings: { ...visualSettings },
+    emitters: Object.fromEntries(
+      Object.keys(EMITTER_DEFAULTS).map((mode) => [mode, [...getEmitterKeypoints(mode)]])
+    ),
+    controlMappings: controlMapper.getMappings(),
+  };
+}
+
+// Apply a preset. A poseModel setting switches the model right away (unless keepModel,
+// so entering or leaving presentation mode never reloads it mid-show); other
+// poseConfig changes take effect the next time the model loads.
+function applyPreset(preset, { keepModel = false } = {}) {
+  if (preset.poseConfig) {
+    Object.assign(poseConfig, preset.poseConfig);
+  }
+  if (preset.visualSettings) {
+    Object.assign(visualSettings, preset.visualSettings);
+  }
+  if (preset.emitters) {
+    applyEmitterKeypoints(preset.emitters);
+  }
+  if (Array.isArray(preset.controlMappings)) {
+    controlMapper.setMappings(preset.controlMappings);
+    renderControlMappings();
+  }
+  const settings = { ...preset.settings };
+  if (keepModel) delete settings.poseModel;
+  applySettings(settings);
+}
+
+// Leaving presentation mode: go back to what the operator had set
+function restorePresentationSettings() {
+  if (presentationRestore) {
+    applyPreset(presentationRestore, { keepModel: true });
+    presentationRestore = null;
+  }
+}
+
+// Wire up the preset menus and buttons, and remember live settings across reloads
+function setupPresetUI() {
+  const presetSelect = document.getElementById("preset-select");
+  const presentationSelect = document.getElementById("presentation-preset");
+  const presetInput = document.getElementById("preset-file");
 
-  // Check if we're in fireworks mode and should go back to smoke (only 1 person)
-  if (poseVisualizer.paintMode === "fireworks" && poses.length === 1) {
-    poseVisualizer.setMode("smoke");
-    poseVisualizer.fireworks.clear();
-    // No UI change in presentation mode
+  updatePresetUI();
+
+  presetSelect.addEventListener("change", (e) => {
+    const preset = presetStore.get(e.target.value);
+    if (preset) {
+      applyPreset(preset);
+      if (!isPresentationMode) presetStore.saveSession(captureSettings());
+    }
+  });
+
+  presentationSelect.addEventListener("change", (e) => {
+    presetStore.setModePreset("presentation", e.target.value);
+  });
+
+  document.getElementById("preset-save").addEventListener("click", () => {
+    const name = prompt("Preset name:", presetSelect.value || "");
+    if (!name) return;
+    presetStore.set(name.trim(), captureSettings());
+    updatePresetUI(name.trim());
+  });
+
+  document.getElementById("preset-delete").addEventListener("click", () => {
+    const name = presetSelect.value;
+    if (!name || presetStore.isBuiltin(name)) return;
+    if (!confirm(`Delete preset "${name}"?`)) return;
+    presetStore.remove(name);
+    updatePresetUI();
+  });
+
+  document.getElementById("preset-export").addEventListener("click", () => {
+    const blob = new Blob([JSON.stringify(presetStore.toJSON(), null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "improterai-presets.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  document.getElementById("preset-import").addEventListener("click", () => {
+    presetInput.click();
+  });
+  presetInput.addEventListener("change", (e) => {
+    if (e.target.files.length > 0) importPresets(e.target.files[0]);
+    e.target.value = "";
+  });
+
+  // Remember the operator's live settings (presentation values aren't theirs to keep)
+  document.querySelector(".visualization-controls").addEventListener("change", (e) => {
+    if (isPresentationMode || !Object.values(getSettingControls()).includes(e.target.id)) return;
+    presetStore.saveSession(captureSettings());
+  });
+}
+
+// Refill the preset menus from the store
+function updatePresetUI(selected = "") {
+  const presetSelect = document.getElementById("preset-select");
+  const presentationSelect = document.getElementById("presentation-preset");
+  const names = presetStore.getNames();
+
+  presetSelect.innerHTML = "";
+  presetSelect.add(new Option("— Choose preset —", ""));
+  presentationSelect.innerHTML = "";
+  presentationSelect.add(new Option("Keep current settings", ""));
+  for (const name of names) {
+    presetSelect.add(new Option(name, name));
+    presentationSelect.add(new Option(name, name));
   }
+
+  presetSelect.value = names.includes(selected) ? selected : "";
+  presentationSelect.value = presetStore.getModePreset("presentation") || "";
+}
+
+// Merge presets from an exported JSON file
+function importPresets(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let names;
+    try {
+      names = presetStore.import(JSON.parse(reader.result));
+    } catch (err) {
+      console.error("Could not import presets:", err);
+      alert(`Could not import presets: ${err.message}`);
+      return;
+    }
+    // Selecting the first imported preset shows the import worked
+    updatePresetUI(names[0]);
+  };
+  reader.readAsText(file);
+}
+
+// Load a show script file for presentation mode
+function loadShowScript(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      showDirector.load(JSON.parse(reader.result));
+    } catch (err) {
+      console.error("Could not load show script:", err);
+      alert(`Could not load show script: ${err.message}`);
+      return;
+    }
+    // The Load Show tooltip names the script that's loaded
+    const name = showDirector.script.name || file.name;
+    document.getElementById("load-show").title = `Loaded show script: ${name}`;
+  };
+  reader.readAsText(file);
 }
 
 // Handle window resize
@@ -771,24 +2050,13 @@ function handleFullscreenChange() {
     if (isPresentationMode) {
       container.classList.remove("presentation-mode");
       isPresentationMode = false;
+      showDirector.stop();
       presentationButton.textContent = "🎭 Presentation Mode";
       presentationButton.classList.remove("btn-primary");
       presentationButton.classList.add("btn-secondary");
 
-      // Reset opacity values to defaults
-      cameraOpacity = 100; // Reset to 100% camera opacity
-      poseVisualizer.setOpacity(80); // Reset to 80% paint opacity
-
-      // Update UI sliders to reflect the changes
-      const cameraOpacitySlider = document.getElementById("camera-opacity");
-      const paintOpacitySlider = document.getElementById("opacity");
-      const cameraOpacityValue = document.getElementById("camera-opacity-value");
-      const paintOpacityValue = document.getElementById("opacity-value");
-
-      if (cameraOpacitySlider) cameraOpacitySlider.value = 100;
-      if (paintOpacitySlider) paintOpacitySlider.value = 80;
-      if (cameraOpacityValue) cameraOpacityValue.textContent = "100%";
-      if (paintOpacityValue) paintOpacityValue.textContent = "80%";
+      // Put back the operator's own settings
+      restorePresentationSettings();
     }
 
     resizeCanvas(640, 480);
@@ -798,135 +2066,69 @@ function handleFullscreenChange() {
   }
 }
 
-// Paint visualizations directly on the main canvas
-function paintOnCanvas() {
-  if (poses.length === 0) return;
-
-  // Handle particle mode separately
-  if (poseVisualizer.paintMode === "particles") {
-    for (let pose of poses) {
-      // Create a scaled copy of the pose for particles
-      let scaledPose = {
-        keypoints: pose.keypoints.map((keypoint) => {
-          let x = keypoint.x * scaleX;
-          let y = keypoint.y * scaleY;
-
-          // Flip X coordinate if camera is mirrored
-          if (cameraMirror) {
-            x = width - x;
-          }
-
-          return {
-            x: x,
-            y: y,
-            confidence: keypoint.confidence,
-          };
-        }),
-      };
-      particleSystem.emitFromPose(scaledPose, connections, visualSettings.minConfidence);
-    }
-  } else if (poseVisualizer.paintMode === "fireworks") {
-    // Fireworks mode: use the integrated fireworks system in pose visualizer
-    // The fireworks are handled by the pose visualizer's updateMovementTracking method
-    // Just pass the poses to the visualizer - it will handle everything
-    let scaledPoses = poses.map((pose) => ({
-      keypoints: pose.keypoints.map((keypoint) => {
-        let x = keypoint.x * scaleX;
-        let y = keypoint.y * scaleY;
-
-        // Flip X coordinate if camera is mirrored
-        if (cameraMirror) {
-          x = width - x;
-        }
-
-        return { x, y, confidence: keypoint.confidence };
-      }),
-    }));
-    poseVisualizer.visualize(scaledPoses, connections, visualSettings.minConfidence);
-    return; // Don't draw anything else when in fireworks mode
-  } else if (poseVisualizer.paintMode === "smoke") {
-    for (let pose of poses) {
-      // Create a scaled copy of the pose for smoke
-      let scaledPose = {
-        keypoints: pose.keypoints.map((keypoint) => {
-          let x = keypoint.x * scaleX;
-          let y = keypoint.y * scaleY;
-
-          // Flip X coordinate if camera is mirrored
-          if (cameraMirror) {
-            x = width - x;
-          }
-
-          return {
-            x: x,
-            y: y,
-            confidence: keypoint.confidence,
-          };
-        }),
-      };
-      smokeSystem.emitFromPose(scaledPose, visualSettings.minConfidence);
-    }
-  } else {
-    // Use the pose visualizer for other modes with scaled poses
-    let scaledPoses = poses.map((pose) => ({
-      keypoints: pose.keypoints.map((keypoint) => {
-        let x = keypoint.x * scaleX;
-        let y = keypoint.y * scaleY;
-
-        // Flip X coordinate if camera is mirrored
-        if (cameraMirror) {
-          x = width - x;
-        }
-
-        return {
-          x: x,
-          y: y,
-          confidence: keypoint.confidence,
-        };
-      }),
-    }));
-    poseVisualizer.visualize(scaledPoses, connections, visualSettings.minConfidence);
-  }
+// Advance and draw one paint mode on the paint layer. A mode that is crossfading
+// out keeps its existing particles and smoke moving, but nothing new is emitted.
+function paintWithMode(g, id, fading = false) {
+  const mode = paintModes.get(id);
+  if (!mode) return;
+  mode.update(canvasPoses, frameSteps(window), fading);
+  mode.draw(g);
 }
 
 // Old painting functions removed - now handled by PoseVisualizer class
 
-// Clear visualization (clear the entire canvas)
+// Clear visualization (wipe the paint layer and every system's state)
 function clearVisualizationCanvas() {
-  background(0);
+  layers.clearPaint();
   poseVisualizer.clearTrails();
   poseVisualizer.clearPoseTracking();
   particleSystem.clear();
   smokeSystem.clear();
+  paintModes.clearAll();
   // Note: poseVisualizer.clearPoseTracking() already clears fireworks
 }
 
-// Save visualization canvas
+// Save the artwork alone (paint layer, transparent background)
 function saveVisualizationCanvas() {
-  saveCanvas("pose-artwork.png");
+  layers.savePaint("pose-artwork");
 }
 
-// Old particle system functions removed - now handled by ParticleSystem class
+// Save everything on screen: camera, paint and HUD
+function saveSnapshot() {
+  saveCanvas("pose-snapshot.png");
+}
 
-// Update all particle emitters
-function updateParticles() {
-  // Update per-mode systems exclusively
-  if (poseVisualizer.paintMode === "particles") {
-    particleSystem.update();
-    particleSystem.draw();
-  } else if (poseVisualizer.paintMode === "smoke") {
-    // Apply wind force based on mouse position (like reference code)
-    // Ensure we're using the correct canvas dimensions
-    let canvasWidth = width;
-    let mousePosX = mouseX;
+// Start/stop recording the canvas to a WebM clip
+async function toggleVideoRecording() {
+  if (canvasRecorder.isRecording) {
+    canvasRecorder.stop("pose-performance.webm");
+    updateVideoRecordButton();
+    return;
+  }
+
+  const withAudio = document.getElementById("video-audio").checked;
+  try {
+    await canvasRecorder.start(cameraCanvas.elt, { audio: withAudio });
+  } catch (err) {
+    console.error("Could not start video recording:", err);
+    alert(`Could not start video recording: ${err.message}`);
+  }
+  updateVideoRecordButton();
+}
 
-    // Clamp mouse position to canvas bounds to avoid issues
-    mousePosX = constrain(mousePosX, 0, canvasWidth);
+// Show the recording timer on the record button
+function updateVideoRecordButton() {
+  const button = document.getElementById("video-record-toggle");
 
-    let dx = map(mousePosX, 0, canvasWidth, -0.2, 0.2);
-    let wind = createVector(dx, 0);
-    smokeSystem.applyForce(wind);
-    smokeSystem.run();
+  if (canvasRecorder.isRecording) {
+    button.textContent = `⏹️ Stop Video ${canvasRecorder.getElapsedLabel()}`;
+    button.classList.remove("btn-secondary");
+    button.classList.add("btn-primary");
+  } else {
+    button.textContent = "🎬 Record Video";
+    button.classList.remove("btn-primary");
+    button.classList.add("btn-secondary");
   }
-  // Note: Fireworks are now handled by the pose visualizer, not here
 }
+
+// Old particle system functions removed - now handled by ParticleSystem class
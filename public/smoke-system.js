@@ -12,15 +12,16 @@ const warmColors = [
 ];
 
 class SmokeParticle {
-  constructor(x, y, size = 50, colorIndex = 0) {
-    this.position = createVector(x, y);
+  constructor(p, x, y, size = 50, colorIndex = 0) {
+    this.p = p; // p5 instance
+    this.position = p.createVector(x, y);
 
     // Random initial velocity with upward bias (like reference code)
-    let vx = randomGaussian(0, 0.3);
-    let vy = randomGaussian(-1, 0.3);
-    this.velocity = createVector(vx, vy);
+    let vx = p.randomGaussian(0, 0.3);
+    let vy = p.randomGaussian(-1, 0.3);
+    this.velocity = p.createVector(vx, vy);
 
-    this.acceleration = createVector(0, 0);
+    this.acceleration = p.createVector(0, 0);
     this.lifespan = 100.0;
     this.maxLifespan = 100.0;
     this.size = size; // Make size configurable
@@ -29,13 +30,13 @@ class SmokeParticle {
   }
 
   // Update and draw the particle (like reference code)
-  run() {
-    this.update();
-    this.show();
+  run(g, dt = 1) {
+    this.update(dt);
+    this.show(g);
   }
 
   // Draw the particle with glowing effect
-  show() {
+  show(g) {
     // Calculate color based on lifespan (start yellow, become orange/red)
     const lifeRatio = this.lifespan / this.maxLifespan;
     // Start from index 2 (yellow) and go backwards to 0 (orange-red) as particle ages
@@ -48,6 +49,7 @@ class SmokeParticle {
 
     // Draw glowing circle with radial gradient
     this.drawGlowingSmoke(
+      g,
       this.position.x,
       this.position.y,
       currentSize,
@@ -57,10 +59,10 @@ class SmokeParticle {
   }
 
   // Draw a glowing smoke particle with radial gradient effect
-  drawGlowingSmoke(x, y, size, colorArray, opacity) {
-    const ctx = drawingContext; // Access the 2D drawing context from p5.js
-    push();
-    blendMode(ADD); // Makes light/glow additive for fire-like effect
+  drawGlowingSmoke(layer, x, y, size, colorArray, opacity) {
+    const ctx = layer.drawingContext; // Access the layer's 2D drawing context
+    layer.push();
+    layer.blendMode(this.p.ADD); // Makes light/glow additive for fire-like effect
 
     const r = colorArray[0];
     const g = colorArray[1];
@@ -88,7 +90,7 @@ class SmokeParticle {
     ctx.arc(x, y, size * 0.8, 0, Math.PI * 2);
     ctx.fill();
 
-    pop(); // Restore previous drawing state
+    layer.pop(); // Restore previous drawing state
   }
 
   // Method to apply a force vector to the Particle object (like reference code)
@@ -96,11 +98,11 @@ class SmokeParticle {
     this.acceleration.add(force);
   }
 
-  // Method to update position (like reference code)
-  update() {
-    this.velocity.add(this.acceleration);
-    this.position.add(this.velocity);
-    this.lifespan -= 2;
+  // Method to update position (like reference code); dt = elapsed 60 fps frames
+  update(dt = 1) {
+    this.velocity.add(this.acceleration.x * dt, this.acceleration.y * dt);
+    this.position.add(this.velocity.x * dt, this.velocity.y * dt);
+    this.lifespan -= 2 * dt;
     this.acceleration.mult(0); // clear Acceleration
   }
 
@@ -110,58 +112,126 @@ class SmokeParticle {
   }
 }
 
+// Default smoke sources: both wrists
+const SMOKE_EMITTER_KEYPOINTS = ["leftWrist", "rightWrist"];
+
+// Tunable parameters; the app builds the smoke mode's controls from these
+// (see paint-modes.js). Keys are also the setting names in presets and show scripts.
+const SMOKE_PARAMS = [
+  {
+    key: "smokeDensity",
+    label: "Smoke Density",
+    type: "range",
+    min: 1,
+    max: 10,
+    default: 1,
+    unit: "",
+    apply: (system, value) => system.setSmokeDensity(value),
+  },
+  {
+    key: "windStrength",
+    label: "Wind Strength",
+    type: "range",
+    min: 0,
+    max: 200,
+    default: 100,
+    unit: "%",
+    apply: (system, value) => system.setWindStrength(value),
+  },
+  {
+    key: "smokeSize",
+    label: "Smoke Size",
+    type: "range",
+    min: 10,
+    max: 100,
+    default: 80,
+    unit: "px",
+    apply: (system, value) => system.setSmokeSize(value),
+  },
+];
+
 class SmokeSystem {
-  constructor() {
+  constructor(p) {
+    this.p = p; // p5 instance
     this.particles = [];
-    this.maxParticles = 300; // Reduced for better performance
-    this.smokeDensity = 2; // Reduced density
-    this.windStrength = 0.2;
+    this.maxParticles = 300; // Fixed cap (reduced for better performance); density only sets the rate
+    this.smokeDensity = 1; // Particles per keypoint per 60 fps frame
+    this.windStrength = 1; // How hard movement wind pushes the smoke (1 = as measured)
     this.smokeSize = 80; // Default smoke particle size (bigger for fullscreen)
+    this.emitterKeypoints = SMOKE_EMITTER_KEYPOINTS; // Smoke sources, by name
 
-    // Movement tracking for dynamic sizing
-    this.lastPositions = []; // Store last positions of keypoints
+    // Movement tracking for dynamic sizing, one history per person (keyed by track ID)
+    this.people = new Map();
     this.baseMovementThreshold = 10; // Base movement threshold
     this.movementThreshold = 10; // Current movement threshold (will be adjusted)
-    this.stillnessTime = 0; // Time spent still
     this.maxStillnessTime = 4000; // Max time for size growth (3 seconds)
-    this.sizeMultiplier = 0.7; // Start smaller
-    this.targetSizeMultiplier = 0.7; // Start smaller
 
     // Wind system based on movement
-    this.currentWind = createVector(0, 0); // Current wind force
-    this.targetWind = createVector(0, 0); // Target wind force
+    this.currentWind = p.createVector(0, 0); // Current wind force
+    this.targetWind = p.createVector(0, 0); // Target wind force
     this.windSmoothing = 0.2; // How quickly wind changes
     this.maxWindStrength = 0.3; // Maximum wind force
+
+    this.audio = null; // Audio analyzer; bass thickens the smoke
+  }
+
+  setAudioAnalyzer(analyzer) {
+    this.audio = analyzer;
+  }
+
+  // Movement history for one person, created on first sight
+  getPersonState(personId) {
+    if (!this.people.has(personId)) {
+      this.people.set(personId, {
+        lastPositions: [], // Last positions of the emitting keypoints
+        stillnessTime: 0, // Time spent still
+        sizeMultiplier: 0.7, // Start smaller
+        targetSizeMultiplier: 0.7,
+        emitBudget: 0, // Fractional particles owed (smokeDensity per keypoint per 60 fps frame)
+      });
+    }
+    return this.people.get(personId);
+  }
+
+  // Drop the movement history of a person who has left the scene
+  forgetPerson(personId) {
+    this.people.delete(personId);
   }
 
-  // Emit smoke from pose keypoints (optimized)
-  emitFromPose(pose, minConfidence = 0.1) {
-    // Define keypoints for smoke emission: nose, leftWrist, rightWrist
-    const smokeKeypoints = [9, 10]; // leftWrist, rightWrist
+  // Emit smoke from pose keypoints (optimized); dt = elapsed 60 fps frames
+  emitFromPose(pose, minConfidence = 0.1, dt = frameSteps(this.p)) {
+    // Keypoints for smoke emission (by name, so any pose model works)
+    const smokeKeypoints = this.emitterKeypoints;
+    const person = this.getPersonState(pose.trackId !== undefined ? pose.trackId : 0);
 
     // Adjust movement threshold based on canvas size for better fullscreen responsiveness
     this.adjustMovementThreshold();
 
     // Track movement for dynamic sizing
-    this.updateMovementTracking(pose, smokeKeypoints, minConfidence);
+    this.updateMovementTracking(pose, person, smokeKeypoints, minConfidence, dt);
 
     // Update size multiplier smoothly
-    this.sizeMultiplier += (this.targetSizeMultiplier - this.sizeMultiplier) * 0.05;
-    if (this.sizeMultiplier > 4.5) {
-      this.sizeMultiplier = 4.5;
+    person.sizeMultiplier +=
+      (person.targetSizeMultiplier - person.sizeMultiplier) * lerpFactor(0.05, dt);
+    if (person.sizeMultiplier > 4.5) {
+      person.sizeMultiplier = 4.5;
     }
 
+    // Emission is a rate: whole particles owed since the last frame, more with heavy bass
+    const boost = this.audio !== null ? this.audio.getBoost("bass") : 1;
+    person.emitBudget += dt * this.smokeDensity * boost;
+    const emitCount = Math.floor(person.emitBudget);
+    person.emitBudget -= emitCount;
+
     for (let i = 0; i < smokeKeypoints.length; i++) {
-      const keypointIndex = smokeKeypoints[i];
-      const keypoint = pose.keypoints[keypointIndex];
+      const keypoint = findKeypoint(pose, smokeKeypoints[i], minConfidence);
 
-      if (keypoint && keypoint.confidence > minConfidence) {
-        // Emit only one particle per keypoint for better performance
-        if (this.particles.length < this.maxParticles) {
-          const dynamicSize = this.smokeSize * this.sizeMultiplier;
+      if (keypoint) {
+        for (let n = 0; n < emitCount && this.particles.length < this.maxParticles; n++) {
+          const dynamicSize = this.smokeSize * person.sizeMultiplier;
           const colorIndex = Math.floor(Math.random() * warmColors.length);
           this.particles.push(
-            new SmokeParticle(keypoint.x, keypoint.y, dynamicSize, colorIndex)
+            new SmokeParticle(this.p, keypoint.x, keypoint.y, dynamicSize, colorIndex)
           );
         }
       }
@@ -172,7 +242,7 @@ class SmokeSystem {
   adjustMovementThreshold() {
     // Calculate canvas size factor (1.0 for 640x480, larger for fullscreen)
     const baseCanvasSize = 640 * 480;
-    const currentCanvasSize = width * height;
+    const currentCanvasSize = this.p.width * this.p.height;
     const sizeFactor = Math.sqrt(currentCanvasSize / baseCanvasSize);
 
     // Adjust movement threshold - larger canvas needs higher threshold
@@ -182,30 +252,30 @@ class SmokeSystem {
     this.windSmoothing = Math.min(0.2 * sizeFactor, 0.5); // Cap at 0.5 for stability
   }
 
-  // Track movement to adjust smoke size and wind
-  updateMovementTracking(pose, smokeKeypoints, minConfidence) {
-    const currentTime = millis();
+  // Track one person's movement to adjust their smoke size and the shared wind
+  updateMovementTracking(pose, person, smokeKeypoints, minConfidence, dt = 1) {
     let totalMovement = 0;
     let validKeypoints = 0;
-    let totalWindVector = createVector(0, 0);
+    let totalWindVector = this.p.createVector(0, 0);
 
     for (let i = 0; i < smokeKeypoints.length; i++) {
-      const keypointIndex = smokeKeypoints[i];
-      const keypoint = pose.keypoints[keypointIndex];
+      const keypoint = findKeypoint(pose, smokeKeypoints[i], minConfidence);
 
-      if (keypoint && keypoint.confidence > minConfidence) {
+      if (keypoint) {
         const currentPos = { x: keypoint.x, y: keypoint.y };
 
-        if (this.lastPositions[i]) {
-          const lastPos = this.lastPositions[i];
-          const distance = Math.sqrt(
-            Math.pow(currentPos.x - lastPos.x, 2) + Math.pow(currentPos.y - lastPos.y, 2)
-          );
+        if (person.lastPositions[i]) {
+          const lastPos = person.lastPositions[i];
+          // Distance per 60 fps frame, so speed thresholds hold at any frame rate
+          const distance =
+            Math.sqrt(
+              Math.pow(currentPos.x - lastPos.x, 2) + Math.pow(currentPos.y - lastPos.y, 2)
+            ) / dt;
           totalMovement += distance;
           validKeypoints++;
 
           // Calculate movement vector for wind direction
-          const movementVector = createVector(
+          const movementVector = this.p.createVector(
             currentPos.x - lastPos.x,
             currentPos.y - lastPos.y
           );
@@ -216,13 +286,13 @@ class SmokeSystem {
           movementVector.mult(windStrength);
 
           // Add some randomness to make it more natural
-          const randomFactor = 0.8 + random(0.4); // 0.8 to 1.2
+          const randomFactor = 0.8 + this.p.random(0.4); // 0.8 to 1.2
           movementVector.mult(randomFactor);
 
           totalWindVector.add(movementVector);
         }
 
-        this.lastPositions[i] = currentPos;
+        person.lastPositions[i] = currentPos;
       }
     }
 
@@ -236,23 +306,23 @@ class SmokeSystem {
 
       // Smooth wind changes
       this.targetWind = totalWindVector;
-      this.currentWind.lerp(this.targetWind, this.windSmoothing);
+      this.currentWind.lerp(this.targetWind, lerpFactor(this.windSmoothing, dt));
     } else {
       // No movement - wind dies down gradually
-      this.targetWind = createVector(0, 0);
-      this.currentWind.lerp(this.targetWind, this.windSmoothing * 2); // Faster decay
+      this.targetWind = this.p.createVector(0, 0);
+      this.currentWind.lerp(this.targetWind, lerpFactor(this.windSmoothing * 2, dt)); // Faster decay
     }
 
     // Update stillness time and target size multiplier
     if (avgMovement < this.movementThreshold) {
       // Still - increase size over time
-      this.stillnessTime += 16; // Assuming ~60fps
-      const stillnessRatio = Math.min(this.stillnessTime / this.maxStillnessTime, 1);
-      this.targetSizeMultiplier = 0.6 + stillnessRatio * 3.5; // Grow from 0.6x to 4.1x size
+      person.stillnessTime += dt * FRAME_STEP_MS;
+      const stillnessRatio = Math.min(person.stillnessTime / this.maxStillnessTime, 1);
+      person.targetSizeMultiplier = 0.6 + stillnessRatio * 3.5; // Grow from 0.6x to 4.1x size
     } else {
       // Moving - decrease size
-      this.stillnessTime = 0;
-      this.targetSizeMultiplier = 0.3 + avgMovement / 30; // Start smaller when moving
+      person.stillnessTime = 0;
+      person.targetSizeMultiplier = 0.3 + avgMovement / 30; // Start smaller when moving
     }
   }
 
@@ -263,36 +333,47 @@ class SmokeSystem {
     }
   }
 
-  // Update all particles (optimized like reference code)
-  run() {
-    // Apply wind force to all particles
+  // Move all particles with the wind and drop the dead ones; dt = elapsed 60 fps frames
+  update(dt = frameSteps(this.p)) {
+    // Apply wind force to all particles, scaled by the wind strength setting
+    const wind = this.currentWind.copy().mult(this.windStrength);
     for (let particle of this.particles) {
-      particle.applyForce(this.currentWind);
-      particle.run();
+      particle.applyForce(wind);
+      particle.update(dt);
     }
     // Efficient particle removal using filter (like reference code)
     this.particles = this.particles.filter((particle) => !particle.isDead());
   }
 
+  // Draw all particles onto layer g
+  draw(g) {
+    for (let particle of this.particles) {
+      particle.show(g);
+    }
+  }
+
+  // Update and draw all particles onto layer g (optimized like reference code)
+  run(g, dt = frameSteps(this.p)) {
+    this.update(dt);
+    this.draw(g);
+  }
+
   // Clear all particles
   clear() {
     this.particles = [];
-    this.lastPositions = [];
-    this.stillnessTime = 0;
-    this.sizeMultiplier = 0.7;
-    this.targetSizeMultiplier = 0.7;
-    this.currentWind = createVector(0, 0);
-    this.targetWind = createVector(0, 0);
+    this.people.clear();
+    this.currentWind = this.p.createVector(0, 0);
+    this.targetWind = this.p.createVector(0, 0);
   }
 
-  // Set smoke density (particles per emission)
+  // Set smoke density (particles per keypoint per 60 fps frame)
   setSmokeDensity(density) {
     this.smokeDensity = density;
   }
 
   // Set wind strength
   setWindStrength(strength) {
-    this.windStrength = strength / 100; // Convert percentage to decimal
+    this.windStrength = strength / 100; // Percent of the movement wind
   }
 
   // Set smoke particle size
@@ -300,6 +381,13 @@ class SmokeSystem {
     this.smokeSize = size;
   }
 
+  // Emit smoke from other keypoints (e.g. fingertips)
+  setEmitterKeypoints(names) {
+    this.emitterKeypoints = names;
+    // Movement history is stored per keypoint slot, so start it over
+    for (const person of this.people.values()) person.lastPositions = [];
+  }
+
   // Get total particle count for performance monitoring
   getTotalParticles() {
     return this.particles.length;
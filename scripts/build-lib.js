@@ -0,0 +1,84 @@
+/*
+ * Library build for ImproterAI
+ * Bundles the visualizer classes from public/ into one ES module for other
+ * sketches (p5 instance mode), with types in types/index.d.ts:
+ *
+ *   npm run build   →   dist/improter-visuals.mjs
+ *
+ * The app keeps loading the same files as plain scripts. Every class takes
+ * the p5 instance as its first argument and reaches p5 only through it, so
+ * the files need no changes to work as a module - they're joined in
+ * index.html order and the public names are exported.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const OUTPUT = path.join(ROOT, "dist", "improter-visuals.mjs");
+
+// In dependency order (pose-visualizer.js needs MOVENET_KEYPOINTS at load time)
+const LIBRARY_SOURCES = [
+  "frame-clock.js",
+  "pose-models.js",
+  "particle-system.js",
+  "skeleton-3d.js",
+  "pose-visualizer.js",
+  "smoke-system.js",
+  "gesture-engine.js",
+  "landmark-tracker.js",
+];
+
+// Keep in step with types/index.d.ts
+const LIBRARY_EXPORTS = [
+  // Frame timing
+  "FRAME_STEP_MS",
+  "frameDeltaMs",
+  "frameSteps",
+  "decayFactor",
+  "lerpFactor",
+  // Keypoints
+  "MOVENET_KEYPOINTS",
+  "BLAZEPOSE_KEYPOINTS",
+  "VIRTUAL_KEYPOINTS",
+  "findKeypoint",
+  // Visualizers
+  "PoseVisualizer",
+  "CIRCLE_KEYPOINTS",
+  "FireworksManager",
+  "Firework",
+  "Spark",
+  "Skeleton3DView",
+  "ParticleSystem",
+  "ParticleEmitter",
+  "Particle",
+  "PARTICLE_EMITTER_KEYPOINTS",
+  "PARTICLE_PARAMS",
+  "hsv2rgb",
+  "SmokeSystem",
+  "SmokeParticle",
+  "SMOKE_EMITTER_KEYPOINTS",
+  "SMOKE_PARAMS",
+  "warmColors",
+  // Gestures
+  "GestureEngine",
+  "GESTURE_LIBRARY",
+];
+
+function buildLibrary() {
+  const { version } = require(path.join(ROOT, "package.json"));
+  const parts = [`/* ImproterAI visuals ${version} - built by scripts/build-lib.js from public/, don't edit */`];
+  for (const file of LIBRARY_SOURCES) {
+    parts.push(`// ---- ${file} ----\n` + fs.readFileSync(path.join(ROOT, "public", file), "utf8"));
+  }
+  parts.push(`export {\n${LIBRARY_EXPORTS.map((name) => `  ${name},`).join("\n")}\n};\n`);
+  return parts.join("\n\n");
+}
+
+if (require.main === module) {
+  fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+  fs.writeFileSync(OUTPUT, buildLibrary());
+  console.log(`Wrote ${path.relative(ROOT, OUTPUT)}`);
+}
+
+module.exports = { buildLibrary, LIBRARY_EXPORTS };
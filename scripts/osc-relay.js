@@ -0,0 +1,52 @@
+/*
+ * OSC relay for ImproterAI
+ * Browsers can't send UDP, so the page sends OSC packets over a WebSocket and
+ * this relay forwards each one unchanged as a UDP datagram to the desk:
+ *
+ *   npm run osc-relay
+ *   OSC_HOST=192.168.1.50 OSC_PORT=7000 npm run osc-relay
+ *
+ * Environment:
+ *   RELAY_PORT  WebSocket port the page connects to (default 8081)
+ *   OSC_HOST    Desk address (default 127.0.0.1)
+ *   OSC_PORT    Desk OSC port (default 9000)
+ */
+
+const dgram = require("dgram");
+const { WebSocketServer } = require("ws");
+
+const RELAY_PORT = parseInt(process.env.RELAY_PORT || "8081", 10);
+const OSC_HOST = process.env.OSC_HOST || "127.0.0.1";
+const OSC_PORT = parseInt(process.env.OSC_PORT || "9000", 10);
+
+const udp = dgram.createSocket("udp4");
+const server = new WebSocketServer({ host: "localhost", port: RELAY_PORT });
+
+server.on("connection", (socket, request) => {
+  console.log(`Page connected from ${request.socket.remoteAddress}`);
+
+  socket.on("message", (data, isBinary) => {
+    // OSC packets only; text frames are not OSC
+    if (!isBinary) return;
+    udp.send(data, OSC_PORT, OSC_HOST, (err) => {
+      if (err) console.error(`Could not forward to ${OSC_HOST}:${OSC_PORT}: ${err.message}`);
+    });
+  });
+
+  // A bad frame drops that page, not the relay
+  socket.on("error", (err) => {
+    console.warn(`Page error: ${err.message}`);
+    socket.terminate();
+  });
+
+  socket.on("close", () => console.log("Page disconnected"));
+});
+
+server.on("listening", () => {
+  console.log(`OSC relay: ws://localhost:${RELAY_PORT} → udp://${OSC_HOST}:${OSC_PORT}`);
+});
+
+server.on("error", (err) => {
+  console.error(`OSC relay failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+/*
+ * Pose broadcast server for ImproterAI
+ * Relays pose frames from the publishing instance (the machine with the
+ * camera) to every viewer instance, for multi-screen installations:
+ *
+ *   npm run pose-server
+ *   POSE_SERVER_PORT=9001 npm run pose-server
+ *
+ * Pose frames from the publisher and remote control messages (see
+ * public/remote-control.js) are forwarded unchanged to all other clients;
+ * anything else is dropped, and so is a client sending faster than any page
+ * would. Listens on all network interfaces so screens on other machines can join.
+ */
+
+const os = require("os");
+const { WebSocketServer, WebSocket } = require("ws");
+
+const PORT = parseInt(process.env.POSE_SERVER_PORT || "8082", 10);
+
+// Message types the pages send: pose frames, then the remote control messages
+const RELAYED_MESSAGES = ["poses", "hello", "set", "fireworks", "clear", "controls", "status"];
+const MAX_MESSAGES_PER_SECOND = 120; // A publisher sends one frame per camera frame
+const MAX_PAYLOAD_BYTES = 1024 * 1024; // A six-person BlazePose frame is well under this
+
+const server = new WebSocketServer({ port: PORT, maxPayload: MAX_PAYLOAD_BYTES });
+
+// The message type of a text frame, or null if it isn't one we relay
+function relayedType(data, isBinary) {
+  if (isBinary) return null;
+  try {
+    const message = JSON.parse(data.toString());
+    return message && RELAYED_MESSAGES.includes(message.type) ? message.type : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+server.on("connection", (socket, request) => {
+  const address = request.socket.remoteAddress;
+  console.log(`Client connected from ${address} (${server.clients.size} total)`);
+
+  // Messages received in the current one-second window
+  let windowStart = Date.now();
+  let windowCount = 0;
+  let warned = false;
+
+  socket.on("message", (data, isBinary) => {
+    const now = Date.now();
+    if (now - windowStart >= 1000) {
+      windowStart = now;
+      windowCount = 0;
+      warned = false;
+    }
+    windowCount++;
+    if (windowCount > MAX_MESSAGES_PER_SECOND) {
+      if (!warned) console.warn(`Dropping messages from ${address}: over ${MAX_MESSAGES_PER_SECOND}/s`);
+      warned = true;
+      return;
+    }
+    if (!relayedType(data, isBinary)) return;
+
+    for (const client of server.clients) {
+      if (client !== socket && client.readyState === WebSocket.OPEN) {
+        client.send(data, { binary: false });
+      }
+    }
+  });
+
+  // Bad frames (invalid UTF-8, oversized) end up here; drop only that client
+  socket.on("error", (err) => {
+    console.warn(`Client ${address} error: ${err.message}`);
+    socket.terminate();
+  });
+
+  socket.on("close", () => console.log(`Client disconnected (${server.clients.size} left)`));
+});
+
+server.on("listening", () => {
+  console.log(`Pose server on ws://localhost:${PORT}`);
+
+  // Addresses other machines on the network can use
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    for (const address of addresses) {
+      if (address.family === "IPv4" && !address.internal) {
+        console.log(`  ws://${address.address}:${PORT}`);
+      }
+    }
+  }
+});
+
+server.on("error", (err) => {
+  console.error(`Pose server failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,103 @@
+/*
+ * Offline bundle for ImproterAI
+ * Downloads p5, ml5 and the MoveNet weights into public/ so shows can run
+ * without a network connection. Run once while online:
+ *
+ *   npm run vendor
+ *
+ * Writes:
+ *   public/vendor/p5.min.js, public/vendor/p5.sound.min.js, public/vendor/ml5.min.js
+ *   public/models/movenet/<variant>/model.json + weight shards
+ *   public/vendor/offline-models.js (tells the sketch which local models exist)
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+
+const PUBLIC_DIR = path.join(__dirname, "..", "public");
+const VENDOR_DIR = path.join(PUBLIC_DIR, "vendor");
+const MODELS_DIR = path.join(PUBLIC_DIR, "models");
+
+// Same builds index.html falls back to
+const LIBRARIES = {
+  "p5.min.js": "https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.4/p5.min.js",
+  "p5.sound.min.js": "https://cdnjs.cloudflare.com/ajax/libs/p5.js/1.9.4/addons/p5.sound.min.js",
+  "ml5.min.js": "https://unpkg.com/ml5@1/dist/ml5.min.js",
+};
+
+// TF Hub locations used by @tensorflow-models/pose-detection (keys match POSE_MODELS)
+const MOVENET_MODELS = {
+  MULTIPOSE_LIGHTNING: {
+    dir: "multipose-lightning",
+    url: "https://tfhub.dev/google/tfjs-model/movenet/multipose/lightning/1",
+  },
+  SINGLEPOSE_LIGHTNING: {
+    dir: "singlepose-lightning",
+    url: "https://tfhub.dev/google/tfjs-model/movenet/singlepose/lightning/4",
+  },
+  SINGLEPOSE_THUNDER: {
+    dir: "singlepose-thunder",
+    url: "https://tfhub.dev/google/tfjs-model/movenet/singlepose/thunder/4",
+  },
+};
+
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} responded ${response.status} ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function vendorLibraries() {
+  await fs.mkdir(VENDOR_DIR, { recursive: true });
+  for (const [file, url] of Object.entries(LIBRARIES)) {
+    console.log(`Downloading ${file}...`);
+    await fs.writeFile(path.join(VENDOR_DIR, file), await download(url));
+  }
+}
+
+// Fetch model.json and every weight shard it lists
+async function vendorModel(key, { dir, url }) {
+  const targetDir = path.join(MODELS_DIR, "movenet", dir);
+  await fs.mkdir(targetDir, { recursive: true });
+
+  console.log(`Downloading MoveNet ${key}...`);
+  const modelJson = await download(`${url}/model.json?tfjs-format=file`);
+  await fs.writeFile(path.join(targetDir, "model.json"), modelJson);
+
+  const manifest = JSON.parse(modelJson.toString("utf8")).weightsManifest;
+  for (const group of manifest) {
+    for (const shard of group.paths) {
+      await fs.writeFile(
+        path.join(targetDir, shard),
+        await download(`${url}/${shard}?tfjs-format=file`)
+      );
+    }
+  }
+
+  // URL relative to index.html
+  return `models/movenet/${dir}/model.json`;
+}
+
+async function main() {
+  await vendorLibraries();
+
+  const modelUrls = {};
+  for (const [key, model] of Object.entries(MOVENET_MODELS)) {
+    modelUrls[key] = await vendorModel(key, model);
+  }
+
+  await fs.writeFile(
+    path.join(VENDOR_DIR, "offline-models.js"),
+    "// Generated by scripts/vendor-offline.js\n" +
+      `window.OFFLINE_MODEL_URLS = ${JSON.stringify(modelUrls, null, 2)};\n`
+  );
+
+  console.log("Offline bundle ready in public/vendor and public/models");
+}
+
+main().catch((err) => {
+  console.error(`Offline bundle failed: ${err.message}`);
+  process.exit(1);
+});
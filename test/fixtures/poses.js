@@ -0,0 +1,66 @@
+/*
+ * Synthetic MoveNet poses for the tests, on a 640×480 canvas.
+ * Keypoints use ml5's snake_case names and a fixed confidence; the person
+ * faces the camera with shoulders 80 px apart (one "shoulder width", the
+ * unit gesture margins are measured in).
+ */
+
+const CONFIDENCE = 0.9;
+
+// Standing with arms hanging down
+const STANDING = {
+  nose: [320, 100],
+  left_eye: [310, 90],
+  right_eye: [330, 90],
+  left_ear: [300, 95],
+  right_ear: [340, 95],
+  left_shoulder: [280, 150],
+  right_shoulder: [360, 150],
+  left_elbow: [270, 210],
+  right_elbow: [370, 210],
+  left_wrist: [265, 270],
+  right_wrist: [375, 270],
+  left_hip: [295, 270],
+  right_hip: [345, 270],
+  left_knee: [295, 350],
+  right_knee: [345, 350],
+  left_ankle: [295, 430],
+  right_ankle: [345, 430],
+};
+
+// Both wrists well above the shoulders (and the head)
+const HANDS_UP = {
+  ...STANDING,
+  left_elbow: [265, 110],
+  right_elbow: [375, 110],
+  left_wrist: [260, 60],
+  right_wrist: [380, 60],
+};
+
+// Arms straight out to the sides at shoulder height
+const T_POSE = {
+  ...STANDING,
+  left_elbow: [220, 150],
+  right_elbow: [420, 150],
+  left_wrist: [160, 150],
+  right_wrist: [480, 150],
+};
+
+// Bones for drawing skeletons, as keypoint index pairs (same as ml5's MoveNet)
+const MOVENET_CONNECTIONS = [
+  [0, 1], [0, 2], [1, 3], [2, 4], [5, 6], [5, 7], [7, 9], [6, 8], [8, 10],
+  [5, 11], [6, 12], [11, 12], [11, 13], [13, 15], [12, 14], [14, 16],
+];
+
+// Build an ml5-style pose from a { name: [x, y] } layout
+function makePose(layout, { trackId = 1, dx = 0, dy = 0, confidence = CONFIDENCE, hide = [] } = {}) {
+  const keypoints = Object.entries(layout).map(([name, [x, y]]) => ({
+    name,
+    x: x + dx,
+    y: y + dy,
+    confidence: hide.includes(name) ? 0 : confidence,
+  }));
+  return { keypoints, score: confidence, trackId };
+}
+
+module.exports = { STANDING, HANDS_UP, T_POSE, MOVENET_CONNECTIONS, makePose };
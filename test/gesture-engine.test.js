@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers/load-app");
+const { STANDING, HANDS_UP, T_POSE, makePose } = require("./fixtures/poses");
+
+// Feed the same pose to an engine for ms; returns the app, engine and every event so far
+// (pass the result back in to continue the same run)
+function hold(layout, ms, run = null) {
+  if (run === null) {
+    const app = loadApp();
+    const engine = new app.GestureEngine(app.p);
+    // Copied out of the vm context so deepEqual compares plain host objects
+    const events = [];
+    engine.on("*", (event) => events.push({ ...event }));
+    run = { app, engine, events };
+  }
+  const { app, engine } = run;
+  const pose = makePose(layout);
+  app.runFor(ms, () => engine.update([pose]));
+  return run;
+}
+
+const starts = (events, name) => events.filter((e) => e.name === name && e.type === "start");
+
+test("both wrists above the shoulders for 3 s starts handsUp once", () => {
+  const { engine, events } = hold(HANDS_UP, 3000);
+
+  assert.deepEqual(starts(events, "handsUp"), [{ name: "handsUp", personId: 1, type: "start" }]);
+  assert.equal(engine.isActive("handsUp", 1), true);
+  // A hand above the nose counts as handRaised too
+  assert.equal(engine.isActive("handRaised", 1), true);
+});
+
+test("lowering the hands ends handsUp", () => {
+  const run = hold(HANDS_UP, 1000);
+  hold(STANDING, 100, run);
+
+  const ends = run.events.filter((e) => e.name === "handsUp" && e.type === "end");
+  assert.equal(ends.length, 1);
+  assert.equal(run.engine.isActive("handsUp", 1), false);
+});
+
+test("everyoneHandsUp waits for its 2 s hold", () => {
+  const run = hold(HANDS_UP, 1500);
+  assert.equal(run.engine.isActive("everyoneHandsUp", "everyone"), false);
+
+  hold(HANDS_UP, 1000, run);
+  assert.deepEqual(starts(run.events, "everyoneHandsUp"), [
+    { name: "everyoneHandsUp", personId: "everyone", type: "start" },
+  ]);
+});
+
+test("everyoneHandsUp needs every person", () => {
+  const app = loadApp();
+  const engine = new app.GestureEngine(app.p);
+  const poses = [makePose(HANDS_UP, { trackId: 1 }), makePose(STANDING, { trackId: 2, dx: 200 })];
+  app.runFor(3000, () => engine.update(poses));
+
+  assert.equal(engine.isActive("handsUp", 1), true);
+  assert.equal(engine.isActive("handsUp", 2), false);
+  assert.equal(engine.isActive("everyoneHandsUp", "everyone"), false);
+});
+
+test("a T-pose shorter than its hold time doesn't start", () => {
+  const short = hold(T_POSE, 300);
+  assert.equal(starts(short.events, "tPose").length, 0);
+
+  const long = hold(T_POSE, 700);
+  assert.equal(starts(long.events, "tPose").length, 1);
+});
+
+test("standing still starts no gestures", () => {
+  const { events } = hold(STANDING, 3000);
+  assert.deepEqual(events, []);
+});
+
+test("forgetting a person ends their active gestures", () => {
+  const { engine, events } = hold(HANDS_UP, 1000);
+  events.length = 0;
+  engine.forgetPerson(1);
+
+  assert.ok(events.some((e) => e.name === "handsUp" && e.type === "end" && e.personId === 1));
+  assert.equal(engine.isActive("handsUp", 1), false);
+});
+
+test("cooldown keeps a gesture from restarting straight away", () => {
+  // tPose: 600 ms hold, 2000 ms cooldown
+  const run = hold(T_POSE, 700);
+  hold(STANDING, 100, run);
+  hold(T_POSE, 700, run);
+  assert.equal(starts(run.events, "tPose").length, 1);
+
+  hold(T_POSE, 1500, run);
+  assert.equal(starts(run.events, "tPose").length, 2);
+});
+
+test("the confidence threshold passed to update applies from that frame", () => {
+  const app = loadApp();
+  const engine = new app.GestureEngine(app.p);
+  const pose = makePose(HANDS_UP);
+
+  // Fixture keypoints have 0.9 confidence, so a 0.95 threshold hides them all
+  app.runFor(3000, () => engine.update([pose], 0.95));
+  assert.equal(engine.isActive("handRaised", 1), false);
+
+  app.runFor(100, () => engine.update([pose], 0.5));
+  assert.equal(engine.isActive("handRaised", 1), true);
+  assert.equal(engine.minConfidence, 0.5);
+});
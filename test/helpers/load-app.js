@@ -0,0 +1,105 @@
+/*
+ * Loads ImproterAI's browser scripts into a Node vm context with the p5 stub,
+ * in the same order index.html does, and hands back their classes plus a
+ * frame clock the tests drive:
+ *
+ *   const app = loadApp();
+ *   const particles = new app.ParticleSystem(app.p);
+ *   app.runFor(3000, (dt) => particles.emitFromPose(pose));   // 3 s at 60 fps
+ *
+ * Every call returns a fresh context, so tests don't share state.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { createGraphicsStub, createP5Globals } = require("./p5-stub");
+
+const PUBLIC_DIR = path.join(__dirname, "..", "..", "public");
+
+// The simulation scripts, in index.html order (no camera, UI or network code)
+const APP_SCRIPTS = [
+  "frame-clock.js",
+  "pose-models.js",
+  "particle-system.js",
+  "skeleton-3d.js",
+  "pose-visualizer.js",
+  "smoke-system.js",
+  "paint-modes.js",
+  "pose-tracker.js",
+  "gesture-engine.js",
+  "landmark-tracker.js",
+];
+
+// Top-level names the tests use; class and const declarations aren't properties
+// of the context's global object, so they're read back by evaluating the name
+const APP_EXPORTS = [
+  "FRAME_STEP_MS",
+  "frameSteps",
+  "findKeypoint",
+  "MOVENET_KEYPOINTS",
+  "GESTURE_LIBRARY",
+  "GestureEngine",
+  "PoseTracker",
+  "Particle",
+  "ParticleEmitter",
+  "ParticleSystem",
+  "PARTICLE_EMITTER_KEYPOINTS",
+  "PARTICLE_PARAMS",
+  "Spark",
+  "Firework",
+  "FireworksManager",
+  "PoseVisualizer",
+  "SmokeParticle",
+  "SmokeSystem",
+  "SMOKE_EMITTER_KEYPOINTS",
+  "SMOKE_PARAMS",
+  "PaintModeRegistry",
+  "paintModes",
+];
+
+function loadApp(options = {}) {
+  const { globals, clock, rand } = createP5Globals(options);
+  const context = vm.createContext(globals);
+
+  // The scripts call Math.random directly; seed the context's own Math
+  context.__seededRandom = rand;
+  vm.runInContext("Math.random = __seededRandom;", context);
+
+  for (const file of APP_SCRIPTS) {
+    const source = fs.readFileSync(path.join(PUBLIC_DIR, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+
+  const app = {
+    context,
+    // The p5 instance to hand the classes; like window in global mode, the
+    // context's global object carries the p5 functions
+    p: context,
+    clock,
+    frameMs: 1000 / 60,
+    createGraphics: (w = context.width, h = context.height) => createGraphicsStub(w, h),
+
+    // Move the clock forward by one frame of ms (sets millis(), deltaTime and frameCount)
+    step(ms = app.frameMs) {
+      clock.now += ms;
+      context.deltaTime = ms;
+      context.frameCount++;
+      return app.frameSteps(context);
+    },
+
+    // Run frames for ms of simulated time; frame(dt) is called after each step
+    runFor(ms, frame, fps = 60) {
+      const frameMs = 1000 / fps;
+      const frames = Math.round(ms / frameMs);
+      for (let i = 0; i < frames; i++) frame(app.step(frameMs), i);
+    },
+  };
+
+  for (const name of APP_EXPORTS) {
+    app[name] = vm.runInContext(name, context);
+  }
+  return app;
+}
+
+module.exports = { loadApp, APP_SCRIPTS };
@@ -0,0 +1,182 @@
+/*
+ * Minimal p5.js stand-in for running ImproterAI's simulation code in Node.
+ * Covers the globals the visualizers use (vectors, random, noise, millis,
+ * deltaTime, math helpers) with a seeded random generator and a clock the
+ * tests advance by hand. Graphics layers accept every drawing call and count
+ * them, so tests can check what was drawn without a canvas.
+ */
+
+// Small seeded PRNG (mulberry32) so every run sees the same "random" values
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class Vector {
+  constructor(x = 0, y = 0, z = 0) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  static fromAngle(angle, length = 1) {
+    return new Vector(Math.cos(angle) * length, Math.sin(angle) * length);
+  }
+
+  set(x, y, z) {
+    if (x instanceof Vector) return this.set(x.x, x.y, x.z);
+    this.x = x;
+    this.y = y !== undefined ? y : this.y;
+    this.z = z !== undefined ? z : this.z;
+    return this;
+  }
+
+  copy() {
+    return new Vector(this.x, this.y, this.z);
+  }
+
+  add(x, y = 0, z = 0) {
+    if (x instanceof Vector) return this.add(x.x, x.y, x.z);
+    this.x += x;
+    this.y += y;
+    this.z += z;
+    return this;
+  }
+
+  mult(n) {
+    this.x *= n;
+    this.y *= n;
+    this.z *= n;
+    return this;
+  }
+
+  div(n) {
+    return this.mult(1 / n);
+  }
+
+  mag() {
+    return Math.hypot(this.x, this.y, this.z);
+  }
+
+  normalize() {
+    const m = this.mag();
+    return m > 0 ? this.div(m) : this;
+  }
+
+  lerp(v, amount) {
+    this.x += (v.x - this.x) * amount;
+    this.y += (v.y - this.y) * amount;
+    this.z += (v.z - this.z) * amount;
+    return this;
+  }
+}
+
+// A graphics layer that swallows drawing calls; calls[name] counts each one
+function createGraphicsStub(width = 640, height = 480) {
+  const calls = {};
+  const count = (name) => {
+    calls[name] = (calls[name] || 0) + 1;
+  };
+  const drawingContext = {
+    createRadialGradient: () => {
+      count("createRadialGradient");
+      return { addColorStop: () => {} };
+    },
+    beginPath: () => {},
+    arc: () => count("arc"),
+    fill: () => {},
+  };
+  const target = { width, height, calls, drawingContext };
+  return new Proxy(target, {
+    get(obj, name) {
+      if (name in obj || typeof name === "symbol") return obj[name];
+      return (...args) => {
+        count(name);
+        return args[0];
+      };
+    },
+  });
+}
+
+// Parse the "rgb(r,g,b)" strings hsv2rgb produces, for red()/green()/blue()
+function colorChannel(index) {
+  return (color) => {
+    const match = /rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(String(color));
+    return match ? Number(match[index + 1]) : 0;
+  };
+}
+
+// Globals for a vm context; the returned clock drives millis() and deltaTime
+function createP5Globals({ width = 640, height = 480, seed = 1 } = {}) {
+  const rand = createRandom(seed);
+  const clock = { now: 0 };
+
+  const random = (a, b) => {
+    if (Array.isArray(a)) return a[Math.floor(rand() * a.length)];
+    if (a === undefined) return rand();
+    if (b === undefined) return rand() * a;
+    return a + rand() * (b - a);
+  };
+
+  // Box-Muller, like p5's randomGaussian(mean, sd)
+  const randomGaussian = (mean = 0, sd = 1) => {
+    const u = 1 - rand();
+    const v = rand();
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+
+  // Deterministic smooth-ish value in 0..1 (not Perlin, but stable across runs)
+  const noise = (x, y = 0, z = 0) => {
+    const s = Math.sin(x * 12.9898 + y * 78.233 + z * 37.719) * 43758.5453;
+    return s - Math.floor(s);
+  };
+
+  const p5 = { Vector };
+
+  const globals = {
+    p5,
+    width,
+    height,
+    windowWidth: width,
+    windowHeight: height,
+    frameCount: 0,
+    mouseX: width / 2,
+    mouseY: height / 2,
+    deltaTime: 1000 / 60,
+    millis: () => clock.now,
+    createVector: (x, y, z) => new Vector(x, y, z),
+    createGraphics: (w, h) => createGraphicsStub(w, h),
+    random,
+    randomGaussian,
+    noise,
+    dist: (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1),
+    constrain: (n, low, high) => Math.min(Math.max(n, low), high),
+    map: (n, start1, stop1, start2, stop2) =>
+      start2 + ((n - start1) / (stop1 - start1)) * (stop2 - start2),
+    lerp: (start, stop, amount) => start + (stop - start) * amount,
+    sin: Math.sin,
+    cos: Math.cos,
+    red: colorChannel(0),
+    green: colorChannel(1),
+    blue: colorChannel(2),
+    PI: Math.PI,
+    TWO_PI: Math.PI * 2,
+    HALF_PI: Math.PI / 2,
+    ADD: "lighter",
+    BLEND: "source-over",
+    CENTER: "center",
+    LEFT: "left",
+    RIGHT: "right",
+    console,
+  };
+
+  return { globals, clock, rand };
+}
+
+module.exports = { Vector, createGraphicsStub, createP5Globals, createRandom };
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { buildLibrary, LIBRARY_EXPORTS } = require("../scripts/build-lib");
+const { createP5Globals, createGraphicsStub } = require("./helpers/p5-stub");
+const { STANDING, HANDS_UP, MOVENET_CONNECTIONS, makePose } = require("./fixtures/poses");
+
+// Build into a temp dir and import it as a real ES module, outside any p5 sandbox
+async function importLibrary() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "improter-lib-"));
+  const file = path.join(dir, "improter-visuals.mjs");
+  fs.writeFileSync(file, buildLibrary());
+  try {
+    return await import(pathToFileURL(file).href);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// A stand-in for a p5 instance-mode `p`; nothing is installed as a global
+function createInstance() {
+  const { globals, clock } = createP5Globals();
+  const p = { ...globals };
+  const step = () => {
+    clock.now += 1000 / 60;
+    p.frameCount++;
+  };
+  return { p, step };
+}
+
+test("the library exports every listed name", async () => {
+  const lib = await importLibrary();
+  assert.deepEqual(Object.keys(lib).sort(), [...LIBRARY_EXPORTS].sort());
+});
+
+test("the library runs on an instance without p5 globals", async () => {
+  const lib = await importLibrary();
+  assert.equal(typeof globalThis.createVector, "undefined");
+
+  const { p, step } = createInstance();
+  const g = createGraphicsStub();
+  const visualizer = new lib.PoseVisualizer(p);
+  const gestures = new lib.GestureEngine(p);
+  const particles = new lib.ParticleSystem(p);
+  const smoke = new lib.SmokeSystem(p);
+  visualizer.setGestureEngine(gestures);
+  visualizer.setMode("fireworks");
+
+  const pose = makePose(HANDS_UP);
+  for (let i = 0; i < 180; i++) {
+    step();
+    gestures.update([pose]);
+    visualizer.visualize(g, [pose], MOVENET_CONNECTIONS, 0.1);
+    visualizer.updateFireworks(g);
+    particles.emitFromPose(pose, MOVENET_CONNECTIONS);
+    particles.update();
+    particles.draw(g);
+    smoke.emitFromPose(pose);
+    smoke.run(g);
+  }
+
+  assert.equal(gestures.isActive("handsUp", 1), true);
+  assert.ok(visualizer.fireworks.getTotalSparks() > 0);
+  assert.ok(particles.getTotalParticles() > 0);
+  assert.ok(smoke.getTotalParticles() > 0);
+});
+
+test("findKeypoint resolves names and virtual points", async () => {
+  const lib = await importLibrary();
+  const pose = makePose(STANDING);
+
+  assert.equal(lib.findKeypoint(pose, "leftWrist", 0.1).x, 265);
+  assert.deepEqual(lib.findKeypoint(pose, "midShoulder", 0.1), { x: 320, y: 150, confidence: 0.9 });
+  assert.equal(lib.findKeypoint(pose, "leftWrist", 0.95), null);
+});
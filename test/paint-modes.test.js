@@ -0,0 +1,165 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers/load-app");
+const { STANDING, MOVENET_CONNECTIONS, makePose } = require("./fixtures/poses");
+
+// The context sketch.js hands the registry in setup()
+function createContext(app) {
+  const visualizer = new app.PoseVisualizer(app.p);
+  const gestures = new app.GestureEngine(app.p);
+  visualizer.setGestureEngine(gestures);
+  return {
+    p: app.p,
+    visualizer,
+    particles: new app.ParticleSystem(app.p),
+    smoke: new app.SmokeSystem(app.p),
+    gestures,
+    audio: null,
+    connections: MOVENET_CONNECTIONS,
+    minConfidence: 0.1,
+  };
+}
+
+// A plugin that records which hooks were called
+function createPlugin(calls) {
+  return {
+    id: "rain",
+    label: "Rain",
+    params: [
+      { key: "dropSize", label: "Drop Size", type: "range", min: 1, max: 20, default: 4, unit: "px" },
+      { key: "puddles", label: "Puddles", type: "checkbox", default: false },
+    ],
+    init: () => calls.push("init"),
+    update: () => calls.push("update"),
+    draw: () => calls.push("draw"),
+    clear: () => calls.push("clear"),
+    forgetPerson: (personId) => calls.push(`forget ${personId}`),
+    setParam: (key, value) => calls.push(`${key}=${value}`),
+  };
+}
+
+test("built-in modes are registered in menu order", () => {
+  const app = loadApp();
+  const menu = app.paintModes.list().filter((mode) => !mode.hidden);
+
+  assert.deepEqual(
+    Array.from(menu, (mode) => mode.id),
+    ["keypoints", "skeleton", "trails", "circles", "particles", "smoke", "skeleton3d"]
+  );
+  assert.equal(app.paintModes.get("fireworks").hidden, true);
+});
+
+test("register rejects modes without the required hooks or with bad params", () => {
+  const app = loadApp();
+  const registry = new app.PaintModeRegistry();
+  const draw = () => {};
+
+  assert.throws(() => registry.register({ label: "No id", update: draw, draw }), /id and a label/);
+  assert.throws(() => registry.register({ id: "x", label: "X", draw }), /needs update/);
+  assert.throws(
+    () => registry.register({ id: "x", label: "X", update: draw, draw, params: [{ key: "a", type: "knob" }] }),
+    /invalid param/
+  );
+  assert.equal(registry.list().length, 0);
+});
+
+test("a plugin registered after setup starts with its default params", () => {
+  const app = loadApp();
+  const registry = new app.PaintModeRegistry();
+  const calls = [];
+  registry.setContext(createContext(app));
+  registry.register(createPlugin(calls));
+
+  assert.deepEqual(calls, ["init", "dropSize=4", "puddles=false"]);
+});
+
+test("params set before setup are applied once the mode starts", () => {
+  const app = loadApp();
+  const registry = new app.PaintModeRegistry();
+  const calls = [];
+  registry.register(createPlugin(calls));
+
+  registry.setParam("rain", "dropSize", 12);
+  assert.deepEqual(calls, []);
+  registry.setContext(createContext(app));
+  assert.deepEqual(calls, ["init", "dropSize=12", "puddles=false"]);
+  assert.equal(registry.get("rain").values.dropSize, 12);
+});
+
+test("param keys are unique across modes", () => {
+  const app = loadApp();
+  const registry = new app.PaintModeRegistry();
+  registry.register(createPlugin([]));
+
+  const snow = { ...createPlugin([]), id: "snow", label: "Snow" };
+  assert.throws(() => registry.register(snow), /dropSize is already used by "rain"/);
+  assert.equal(registry.findParamMode("puddles").id, "rain");
+  assert.equal(registry.findParamMode("nothing"), null);
+});
+
+test("particle and smoke params come from the systems' declarations", () => {
+  const app = loadApp();
+  const context = createContext(app);
+  app.paintModes.setContext(context);
+
+  const smoke = app.paintModes.get("smoke");
+  assert.equal(smoke.params, app.SMOKE_PARAMS);
+  assert.equal(smoke.values.smokeSize, context.smoke.smokeSize);
+  app.paintModes.setParam("smoke", "smokeSize", 40);
+  assert.equal(context.smoke.smokeSize, 40);
+
+  assert.equal(app.paintModes.findParamMode("particleSize").id, "particles");
+  app.paintModes.setParam("particles", "particleSize", 7);
+  assert.equal(context.particles.particleSize, 7);
+});
+
+test("clearAll and forgetPerson reach every mode", () => {
+  const app = loadApp();
+  const registry = new app.PaintModeRegistry();
+  const calls = [];
+  registry.register(createPlugin(calls));
+
+  registry.clearAll();
+  registry.forgetPerson(3);
+  assert.deepEqual(calls, ["clear", "forget 3"]);
+});
+
+test("the particles mode emits while active but not while fading out", () => {
+  const app = loadApp();
+  const context = createContext(app);
+  app.paintModes.setContext(context);
+  const mode = app.paintModes.get("particles");
+  const g = app.createGraphics();
+  const pose = makePose(STANDING);
+
+  app.runFor(500, (dt) => {
+    mode.update([pose], dt, false);
+    mode.draw(g);
+  });
+  const count = context.particles.getTotalParticles();
+  assert.ok(count > 0);
+  assert.equal(mode.stats(), `Particles: ${count}`);
+
+  let emitted = 0;
+  context.particles.emitFromPose = () => emitted++;
+  mode.update([pose], 1, true);
+  assert.equal(emitted, 0);
+});
+
+test("visualizer modes draw their own mode, and nothing without poses", () => {
+  const app = loadApp();
+  const context = createContext(app);
+  app.paintModes.setContext(context);
+  const mode = app.paintModes.get("keypoints");
+  const pose = makePose(STANDING);
+
+  const g = app.createGraphics();
+  mode.update([pose], 1, false);
+  mode.draw(g);
+  assert.equal(g.calls.circle, pose.keypoints.length);
+
+  const empty = app.createGraphics();
+  mode.update([], 1, false);
+  mode.draw(empty);
+  assert.equal(empty.calls.circle || 0, 0);
+});
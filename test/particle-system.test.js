@@ -0,0 +1,212 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers/load-app");
+const { STANDING, makePose } = require("./fixtures/poses");
+
+test("the first pose creates one emitter per painting keypoint and bursts at each", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.emitFromPose(makePose(STANDING), []);
+
+  assert.equal(particles.emitters.length, app.PARTICLE_EMITTER_KEYPOINTS.length);
+  // Default burst size is 3 particles per keypoint
+  assert.equal(particles.getTotalParticles(), 3 * particles.emitters.length);
+});
+
+test("emission follows the burst interval", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  const pose = makePose(STANDING);
+
+  // 100 ms interval: one burst on the first frame, then one every 7th frame at 60 fps
+  app.runFor(1000, () => particles.emitFromPose(pose, []));
+  const bursts = particles.getTotalParticles() / (3 * particles.emitters.length);
+  assert.ok(bursts >= 9 && bursts <= 11, `expected about 10 bursts, got ${bursts}`);
+});
+
+test("particle counts stay within each emitter's pool", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.setParticleCount(20);
+  const pose = makePose(STANDING);
+
+  app.runFor(5000, (dt) => {
+    particles.emitFromPose(pose, []);
+    particles.update(dt);
+  });
+
+  for (const emitter of particles.emitters) {
+    assert.equal(emitter.particlePool.length, 20);
+    assert.equal(emitter.particles.length, 20);
+  }
+  assert.equal(particles.getTotalParticles(), 20 * particles.emitters.length);
+});
+
+test("particles come from the pool and return to it when they die", () => {
+  const app = loadApp();
+  const emitter = new app.ParticleEmitter(app.p, "rgb(255,0,0)", 10);
+  const pool = emitter.particlePool.slice();
+
+  emitter.emitBurst(100, 100, 1);
+  const first = emitter.particles.slice();
+  assert.equal(first.length, 3);
+  assert.ok(first.every((p) => pool.includes(p)));
+
+  // Life drains 0.003 per frame, so 400 frames is past the end
+  emitter.update(400);
+  assert.equal(emitter.particles.length, 0);
+  assert.ok(first.every((p) => !p.active));
+
+  emitter.emitBurst(200, 200, 1);
+  assert.deepEqual(emitter.particlePool, pool);
+  assert.deepEqual(emitter.particles, first);
+  assert.equal(emitter.particles[0].x, 200);
+});
+
+test("an exhausted pool recycles the oldest particle", () => {
+  const app = loadApp();
+  const emitter = new app.ParticleEmitter(app.p, "rgb(255,0,0)", 5);
+
+  emitter.emitBurst(0, 0, 1);
+  const oldest = emitter.particles[0];
+  emitter.emitBurst(50, 50, 1);
+
+  assert.equal(emitter.particles.length, 5);
+  assert.equal(emitter.particles[4], oldest);
+  assert.equal(oldest.x, 50);
+});
+
+test("each person gets their own burst timing", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  const alice = makePose(STANDING, { trackId: 1 });
+  const bob = makePose(STANDING, { trackId: 2, dx: 200 });
+
+  // Bob's first burst isn't held back by Alice's (well after start-up, like a live show)
+  app.step(1000);
+  particles.emitFromPose(alice, []);
+  particles.emitFromPose(bob, []);
+  assert.equal(particles.getTotalParticles(), 2 * 3 * particles.emitters.length);
+
+  particles.forgetPerson(2);
+  assert.equal(particles.emitters[0].lastEmissionTimes.has(2), false);
+  assert.equal(particles.emitters[0].lastEmissionTimes.has(1), true);
+});
+
+test("changing the emitter keypoints keeps the emitters that remain", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.emitFromPose(makePose(STANDING), []);
+  const [first, second] = particles.emitters;
+
+  particles.setEmitterKeypoints(["leftWrist", "rightWrist"]);
+  assert.equal(particles.emitters.length, 2);
+  assert.equal(particles.emitters[0], first);
+  assert.equal(particles.emitters[1], second);
+  assert.equal(particles.getTotalParticles(), 2 * 3);
+
+  particles.setEmitterKeypoints(["leftWrist", "rightWrist", "leftElbow", "rightElbow"]);
+  assert.equal(particles.emitters.length, 4);
+  assert.equal(particles.emitters[0], first);
+  assert.equal(particles.emitters[1], second);
+  assert.equal(particles.emitters[3].particles.length, 0);
+  assert.equal(particles.getTotalParticles(), 2 * 3);
+});
+
+test("emitters that remain are recolored so no two keypoints share a color", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.emitFromPose(makePose(STANDING), []);
+
+  particles.setEmitterKeypoints(["nose", "leftWrist", "rightWrist", "leftElbow", "rightElbow", "leftKnee"]);
+  const colors = Array.from(particles.emitters, (emitter) => emitter.color);
+  assert.equal(new Set(colors).size, 6);
+  assert.deepEqual(Array.from(particles.keypointColors), colors);
+});
+
+test("hidden keypoints don't emit", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.emitFromPose(makePose(STANDING, { hide: ["nose", "left_wrist"] }), []);
+  assert.equal(particles.getTotalParticles(), 3);
+});
+
+test("clear empties every emitter", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.emitFromPose(makePose(STANDING), []);
+  particles.clear();
+  assert.equal(particles.getTotalParticles(), 0);
+});
+
+test("drawing paints one circle per live particle", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  const g = app.createGraphics();
+  particles.emitFromPose(makePose(STANDING), []);
+  particles.draw(g);
+  assert.equal(g.calls.circle, particles.getTotalParticles());
+});
+
+test("noise strength applies to particles emitted later", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.setNoiseStrength(2);
+  particles.emitFromPose(makePose(STANDING), []);
+
+  for (const emitter of particles.emitters) {
+    for (const particle of emitter.particles) {
+      assert.ok(particle.noiseStrength >= 1.2 && particle.noiseStrength <= 4, `${particle.noiseStrength}`);
+    }
+  }
+});
+
+test("changing noise strength rescales live particles", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.emitFromPose(makePose(STANDING), []);
+  particles.setNoiseStrength(0);
+
+  const live = particles.emitters.flatMap((emitter) => emitter.particles);
+  assert.ok(live.length > 0);
+  assert.ok(live.every((particle) => particle.noiseStrength === 0));
+});
+
+test("burst timing and painting intensity set before the first pose both apply", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.setBurstParameters(2000, 8, 2);
+  particles.setPaintingIntensity(300);
+  particles.emitFromPose(makePose(STANDING), []);
+
+  for (const emitter of particles.emitters) {
+    assert.equal(emitter.burstInterval, 2000);
+    assert.equal(emitter.emissionInterval, 300);
+    assert.equal(emitter.burstSize, 8);
+    assert.equal(emitter.minParticlesForNewBurst, 2);
+  }
+});
+
+test("full bursts come every burst interval between painting strokes", () => {
+  const app = loadApp();
+  const emitter = new app.ParticleEmitter(app.p, "rgb(255,0,0)", 500);
+  emitter.setBurstParameters(500, 6, 0);
+  emitter.emissionInterval = 100;
+
+  // Over 1 s: ten emissions about 100 ms apart, the one after 0.5 s a burst of 6 instead of 3
+  app.runFor(1000, () => emitter.emit(100, 100, 1));
+  assert.equal(emitter.particles.length, 9 * 3 + 6);
+});
+
+test("changing the particle count after the first pose resizes the pools", () => {
+  const app = loadApp();
+  const particles = new app.ParticleSystem(app.p);
+  particles.setBurstParameters(500, 5, 1);
+  particles.emitFromPose(makePose(STANDING), []);
+  particles.setParticleCount(40);
+
+  for (const emitter of particles.emitters) {
+    assert.equal(emitter.particlePool.length, 40);
+    assert.equal(emitter.burstSize, 5);
+  }
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers/load-app");
+const { STANDING, HANDS_UP, MOVENET_CONNECTIONS, makePose } = require("./fixtures/poses");
+
+// A visualizer wired to a gesture engine, the way sketch.js sets it up
+function createVisualizer() {
+  const app = loadApp();
+  const visualizer = new app.PoseVisualizer(app.p);
+  const gestures = new app.GestureEngine(app.p);
+  visualizer.setGestureEngine(gestures);
+  const g = app.createGraphics();
+
+  // One show frame: gestures first, then painting and the fireworks overlay
+  const frame = (poses, dt) => {
+    gestures.update(poses);
+    visualizer.visualize(g, poses, MOVENET_CONNECTIONS, 0.1, dt);
+    visualizer.updateFireworks(g, dt);
+  };
+  return { app, visualizer, gestures, g, frame };
+}
+
+test("setMode switches what visualize draws", () => {
+  const { app, visualizer } = createVisualizer();
+  const pose = makePose(STANDING);
+
+  const drawn = (mode) => {
+    const g = app.createGraphics();
+    visualizer.setMode(mode);
+    visualizer.visualize(g, [pose], MOVENET_CONNECTIONS, 0.1, 1);
+    return g.calls;
+  };
+
+  assert.equal(drawn("keypoints").circle, pose.keypoints.length);
+  assert.equal(drawn("skeleton").line, MOVENET_CONNECTIONS.length);
+  assert.equal(drawn("circles").createRadialGradient, visualizer.circleKeypoints.length);
+  assert.equal(visualizer.paintMode, "circles");
+});
+
+test("hands up in fireworks mode sets off fireworks", () => {
+  const { app, visualizer, frame } = createVisualizer();
+  visualizer.setMode("fireworks");
+  const pose = makePose(HANDS_UP);
+
+  app.runFor(3000, (dt) => frame([pose], dt));
+  assert.ok(visualizer.fireworks.fireworks.length > 0);
+  assert.ok(visualizer.fireworks.getTotalSparks() > 0);
+});
+
+test("hands up outside fireworks mode doesn't", () => {
+  const { app, visualizer, frame } = createVisualizer();
+  visualizer.setMode("circles");
+  const pose = makePose(HANDS_UP);
+
+  app.runFor(3000, (dt) => frame([pose], dt));
+  assert.equal(visualizer.fireworks.fireworks.length, 0);
+});
+
+test("standing in fireworks mode doesn't set off fireworks", () => {
+  const { app, visualizer, frame } = createVisualizer();
+  visualizer.setMode("fireworks");
+  const pose = makePose(STANDING);
+
+  app.runFor(3000, (dt) => frame([pose], dt));
+  assert.equal(visualizer.fireworks.fireworks.length, 0);
+});
+
+test("fireworks keep fading out after switching modes", () => {
+  const { app, visualizer, frame } = createVisualizer();
+  visualizer.setMode("fireworks");
+  app.runFor(2000, (dt) => frame([makePose(HANDS_UP)], dt));
+  const sparks = visualizer.fireworks.getTotalSparks();
+  assert.ok(sparks > 0);
+
+  // No new bursts once the mode changes; the existing ones burn out
+  visualizer.setMode("keypoints");
+  app.runFor(500, (dt) => frame([makePose(HANDS_UP)], dt));
+  assert.ok(visualizer.fireworks.getTotalSparks() < sparks);
+  app.runFor(5000, (dt) => frame([makePose(HANDS_UP)], dt));
+  assert.equal(visualizer.fireworks.fireworks.length, 0);
+});
+
+test("hands raised grows the circles, lowering them shrinks them back", () => {
+  const { app, visualizer, frame } = createVisualizer();
+  visualizer.setMode("circles");
+
+  app.runFor(2000, (dt) => frame([makePose(HANDS_UP)], dt));
+  assert.equal(visualizer.handsUpGrowth, visualizer.maxGrowthMultiplier);
+
+  app.runFor(2000, (dt) => frame([makePose(STANDING)], dt));
+  assert.ok(visualizer.handsUpGrowth < 0.01);
+});
+
+test("clearPoseTracking drops per-person state and fireworks", () => {
+  const { app, visualizer, frame } = createVisualizer();
+  visualizer.setMode("fireworks");
+  app.runFor(2000, (dt) => frame([makePose(HANDS_UP)], dt));
+
+  visualizer.clearPoseTracking();
+  assert.equal(visualizer.fireworks.fireworks.length, 0);
+  assert.equal(visualizer.poseColors.size, 0);
+});
+
+test("forgetPerson drops only that person", () => {
+  const { app, visualizer, frame } = createVisualizer();
+  visualizer.setMode("trails");
+  const poses = [makePose(STANDING, { trackId: 1 }), makePose(STANDING, { trackId: 2, dx: 200 })];
+  app.runFor(100, (dt) => frame(poses, dt));
+
+  visualizer.forgetPerson(1);
+  assert.deepEqual([...visualizer.poseTrails.keys()], [2]);
+});
+
+test("a firework bursts into sparks that burn out", () => {
+  const app = loadApp();
+  const manager = new app.FireworksManager(app.p);
+  manager.trigger(320, 240, "#ff0000");
+  assert.equal(manager.getTotalSparks(), 90);
+
+  const g = app.createGraphics();
+  manager.updateAndDraw(g, 1);
+  assert.equal(g.calls.circle, manager.getTotalSparks());
+
+  // Sparks lose at least 3 × 0.7 life per frame from 255
+  app.runFor(2500, (dt) => manager.update(dt));
+  assert.equal(manager.fireworks.length, 0);
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers/load-app");
+const { STANDING, HANDS_UP, makePose } = require("./fixtures/poses");
+
+test("smoke emits one particle per wrist per 60 fps frame", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+  const pose = makePose(STANDING);
+
+  app.runFor(1000, (dt) => smoke.emitFromPose(pose, 0.1, dt));
+  assert.equal(smoke.getTotalParticles(), 60 * app.SMOKE_EMITTER_KEYPOINTS.length);
+});
+
+test("emission is a rate, independent of the frame rate", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+  const pose = makePose(STANDING);
+
+  // Half as many frames, each worth two 60 fps steps
+  app.runFor(1000, (dt) => smoke.emitFromPose(pose, 0.1, dt), 30);
+  assert.equal(smoke.getTotalParticles(), 60 * app.SMOKE_EMITTER_KEYPOINTS.length);
+});
+
+test("smoke stops at maxParticles", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+  const pose = makePose(STANDING);
+
+  app.runFor(5000, (dt) => smoke.emitFromPose(pose, 0.1, dt));
+  assert.equal(smoke.getTotalParticles(), smoke.maxParticles);
+});
+
+test("particles fade out and are removed", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+  smoke.emitFromPose(makePose(STANDING), 0.1, 1);
+  assert.equal(smoke.getTotalParticles(), 2);
+
+  // Lifespan 100, losing 2 per frame
+  app.runFor(800, (dt) => smoke.update(dt));
+  assert.equal(smoke.getTotalParticles(), 2);
+  app.runFor(200, (dt) => smoke.update(dt));
+  assert.equal(smoke.getTotalParticles(), 0);
+});
+
+test("moving the wrists raises wind that pushes the smoke", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+
+  // Sweep both wrists to the right
+  app.runFor(500, (dt, frame) => {
+    smoke.emitFromPose(makePose(HANDS_UP, { dx: frame * 4 }), 0.1, dt);
+    smoke.update(dt);
+  });
+  const wind = smoke.getWindInfo();
+  assert.ok(wind.strength > 0, "expected wind");
+  assert.ok(wind.direction.x > 0, "expected wind to the right");
+});
+
+test("standing still lets the wind die down", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+  const pose = makePose(STANDING);
+
+  app.runFor(1000, (dt) => smoke.emitFromPose(pose, 0.1, dt));
+  assert.ok(smoke.getWindInfo().strength < 0.01);
+});
+
+test("clear drops particles and per-person history", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+  smoke.emitFromPose(makePose(STANDING), 0.1, 1);
+  smoke.clear();
+
+  assert.equal(smoke.getTotalParticles(), 0);
+  assert.equal(smoke.people.size, 0);
+});
+
+test("drawing paints one glow per particle without changing them", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+  const g = app.createGraphics();
+  smoke.emitFromPose(makePose(STANDING), 0.1, 1);
+  const before = smoke.particles.map((p) => p.lifespan);
+
+  smoke.draw(g);
+  assert.equal(g.calls.createRadialGradient, 2);
+  assert.deepEqual(smoke.particles.map((p) => p.lifespan), before);
+});
+
+test("smoke density sets the particles per wrist per frame", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+  smoke.setSmokeDensity(3);
+  const pose = makePose(STANDING);
+
+  app.runFor(500, (dt) => smoke.emitFromPose(pose, 0.1, dt));
+  assert.equal(smoke.getTotalParticles(), 3 * 30 * app.SMOKE_EMITTER_KEYPOINTS.length);
+});
+
+test("denser smoke fills the same particle cap sooner", () => {
+  const app = loadApp();
+  const smoke = new app.SmokeSystem(app.p);
+  smoke.setSmokeDensity(10);
+  const pose = makePose(STANDING);
+
+  // 10 per wrist per frame reaches the 300 cap in 15 frames
+  app.runFor(500, (dt) => smoke.emitFromPose(pose, 0.1, dt));
+  assert.equal(smoke.getTotalParticles(), smoke.maxParticles);
+  app.runFor(5000, (dt) => smoke.emitFromPose(pose, 0.1, dt));
+  assert.equal(smoke.getTotalParticles(), smoke.maxParticles);
+});
+
+test("wind strength scales how far the movement wind pushes the smoke", () => {
+  // Sweep the wrists right, then measure how far fresh smoke drifts sideways
+  const drift = (strength) => {
+    const app = loadApp();
+    const smoke = new app.SmokeSystem(app.p);
+    smoke.setWindStrength(strength);
+    app.runFor(500, (dt, frame) => smoke.emitFromPose(makePose(HANDS_UP, { dx: frame * 4 }), 0.1, dt));
+    smoke.particles = [];
+    smoke.emitFromPose(makePose(HANDS_UP, { dx: 120 }), 0.1, 1);
+    const start = smoke.particles.map((particle) => particle.position.x);
+    app.runFor(200, (dt) => smoke.update(dt));
+    return smoke.particles.reduce((sum, particle, i) => sum + particle.position.x - start[i], 0);
+  };
+
+  assert.ok(drift(200) > drift(100), "stronger wind should push further");
+  assert.ok(drift(100) > drift(0), "no wind should push least");
+});
@@ -0,0 +1,358 @@
+/*
+ * Types for the ImproterAI visuals library (dist/improter-visuals.mjs).
+ * Every class takes the p5 instance as its first argument: `p` in instance
+ * mode, or `window` in global mode.
+ */
+
+// ---- p5 ----
+
+/** The parts of a p5 instance the library uses (any p5 1.x instance fits). */
+export interface P5Instance {
+  width: number;
+  height: number;
+  deltaTime: number;
+  frameCount: number;
+  millis(): number;
+  random(max?: number): number;
+  random(min: number, max: number): number;
+  randomGaussian(mean?: number, sd?: number): number;
+  noise(x: number, y?: number, z?: number): number;
+  createVector(x?: number, y?: number, z?: number): P5Vector;
+  createGraphics(w: number, h: number, renderer?: string): Layer;
+  constrain(n: number, low: number, high: number): number;
+  map(n: number, start1: number, stop1: number, start2: number, stop2: number): number;
+  color(value: string): unknown;
+  red(color: unknown): number;
+  green(color: unknown): number;
+  blue(color: unknown): number;
+  readonly TWO_PI: number;
+  readonly ADD: string;
+  readonly WEBGL: string;
+  readonly CENTER: string;
+  readonly LEFT: string;
+}
+
+export interface P5Vector {
+  x: number;
+  y: number;
+  z: number;
+  copy(): P5Vector;
+  set(x: number | P5Vector, y?: number, z?: number): P5Vector;
+  add(x: number | P5Vector, y?: number, z?: number): P5Vector;
+  mult(n: number): P5Vector;
+  div(n: number): P5Vector;
+  mag(): number;
+  normalize(): P5Vector;
+  lerp(v: P5Vector, amount: number): P5Vector;
+}
+
+/** Something to draw on: a p5.Graphics layer, or the p5 instance itself. */
+export interface Layer {
+  width: number;
+  height: number;
+  drawingContext: CanvasRenderingContext2D;
+  [method: string]: any;
+}
+
+// ---- Poses ----
+
+/** One keypoint in canvas pixels. ml5 names are snake_case ("left_wrist"). */
+export interface Keypoint {
+  name?: string;
+  x: number;
+  y: number;
+  z?: number;
+  confidence: number;
+}
+
+/** A BlazePose world keypoint, in meters around the hips. */
+export interface Keypoint3D {
+  name?: string;
+  x: number;
+  y: number;
+  z: number;
+  confidence: number;
+}
+
+export interface HandLandmarks {
+  keypoints: Keypoint[];
+}
+
+export interface FaceLandmarks {
+  keypoints: Keypoint[];
+  metrics: { mouthOpen: number; browRaise: number };
+}
+
+/** An ml5 bodyPose result, optionally tagged with a persistent track ID. */
+export interface Pose {
+  keypoints: Keypoint[];
+  keypoints3D?: Keypoint3D[];
+  score?: number;
+  /** ml5's tracking id, when enableTracking is on */
+  id?: number;
+  /** Persistent person ID; per-person state is keyed by it (array index otherwise) */
+  trackId?: number;
+  hands?: { left?: HandLandmarks; right?: HandLandmarks };
+  face?: FaceLandmarks;
+}
+
+/** A bone as a pair of keypoint indices (ml5's bodyPose.getSkeleton()). */
+export type Connection = [number, number];
+
+/** Keypoint names in camelCase: "leftWrist", virtual points like "midHip", fingertips, face points. */
+export type KeypointName = string;
+
+export const MOVENET_KEYPOINTS: KeypointName[];
+export const BLAZEPOSE_KEYPOINTS: KeypointName[];
+export const VIRTUAL_KEYPOINTS: Record<KeypointName, [KeypointName, KeypointName]>;
+
+/** A keypoint by camelCase name, or null when missing or below minConfidence. */
+export function findKeypoint(pose: Pose, name: KeypointName, minConfidence: number): Keypoint | null;
+
+// ---- Frame timing (dt = elapsed time in 60 fps frames) ----
+
+export const FRAME_STEP_MS: number;
+export function frameDeltaMs(p: P5Instance): number;
+export function frameSteps(p: P5Instance): number;
+export function decayFactor(perFrame: number, dt: number): number;
+export function lerpFactor(perFrame: number, dt: number): number;
+
+// ---- Audio ----
+
+export type AudioBand = "bass" | "mid" | "treble" | "level";
+
+/** What the visualizers read from an audio analyzer. */
+export interface AudioSource {
+  getBoost(band: AudioBand): number;
+  beat: boolean;
+}
+
+// ---- Gestures ----
+
+export interface GestureEvent {
+  name: string;
+  personId: number | "everyone";
+  type: "start" | "end";
+}
+
+export type GestureCondition =
+  | { all: GestureCondition[] }
+  | { any: GestureCondition[] }
+  | { not: GestureCondition }
+  | { type: string; a?: KeypointName; b?: KeypointName; margin?: number; [option: string]: unknown };
+
+export interface GestureDefinition {
+  name: string;
+  scope?: "person" | "everyone";
+  hold?: number;
+  cooldown?: number;
+  when: GestureCondition;
+}
+
+export const GESTURE_LIBRARY: GestureDefinition[];
+
+export class GestureEngine {
+  constructor(p: P5Instance, library?: GestureDefinition[]);
+  minConfidence: number;
+  addGesture(definition: GestureDefinition): void;
+  removeGesture(name: string): void;
+  getGestureNames(): string[];
+  on(name: string, callback: (event: GestureEvent) => void): void;
+  off(name: string, callback: (event: GestureEvent) => void): void;
+  update(poses: Pose[], minConfidence?: number): void;
+  isActive(name: string, personId?: number | "everyone"): boolean;
+  getActive(): { name: string; personId: string }[];
+  forgetPerson(personId: number): void;
+  clear(): void;
+}
+
+// ---- Parameters ----
+
+/** A tunable parameter, declared by a system so a UI can be built for it. */
+export interface ParamDefinition<T = any> {
+  /** Setting name in presets and show scripts */
+  key: string;
+  label: string;
+  type: "range" | "checkbox" | "color" | "select";
+  min?: number;
+  max?: number;
+  step?: number;
+  unit?: string;
+  default: number | boolean | string;
+  options?: { value: string; label: string }[];
+  /** Readout text for a value (default: the value and unit) */
+  format?(value: any): string;
+  /** Set the value on the system */
+  apply(system: T, value: any): void;
+}
+
+// ---- Visualizers ----
+
+export type PaintMode = "keypoints" | "skeleton" | "trails" | "circles" | "fireworks" | "skeleton3d";
+
+export class PoseVisualizer {
+  constructor(p: P5Instance);
+  paintMode: PaintMode;
+  fireworks: FireworksManager;
+  skeleton3D: Skeleton3DView;
+  setGestureEngine(engine: GestureEngine): void;
+  setAudioAnalyzer(analyzer: AudioSource | null): void;
+  setMode(mode: PaintMode): void;
+  setColor(color: string): void;
+  setSize(size: number): void;
+  setOpacity(opacity: number): void;
+  setCircleKeypoints(names: KeypointName[]): void;
+  /** Draw (and advance) mode for every pose; another mode draws a non-advancing ghost of it. */
+  visualize(g: Layer, poses: Pose[], connections: Connection[], minConfidence?: number, dt?: number, mode?: PaintMode): void;
+  /** Advance and draw the fireworks overlay; call once per frame in every mode. */
+  updateFireworks(g: Layer, dt?: number): void;
+  getRandomColor(): string;
+  resetHandsUpTracking(): void;
+  clearTrails(): void;
+  forgetPerson(personId: number): void;
+  clearPoseTracking(): void;
+}
+
+export const CIRCLE_KEYPOINTS: KeypointName[];
+
+export class Skeleton3DView {
+  constructor(p: P5Instance);
+  reset(): void;
+  startOrbit(x: number, y: number): void;
+  orbit(x: number, y: number): void;
+  endOrbit(): void;
+  zoom(delta: number): void;
+  draw(g: Layer, poses: Pose[], connections: Connection[], minConfidence: number, colorHex: string): void;
+}
+
+export class Spark {
+  constructor(p: P5Instance, x: number, y: number, angle: number, speed: number, colorHex: string);
+  pos: P5Vector;
+  vel: P5Vector;
+  life: number;
+  update(dt?: number): void;
+  draw(g: Layer): void;
+  isDead(): boolean;
+}
+
+export class Firework {
+  constructor(p: P5Instance, x: number, y: number, colorHex: string);
+  sparks: Spark[];
+  update(dt?: number): void;
+  draw(g: Layer): void;
+  isDead(): boolean;
+}
+
+export class FireworksManager {
+  constructor(p: P5Instance);
+  fireworks: Firework[];
+  trigger(x: number, y: number, colorHex: string): void;
+  update(dt?: number): void;
+  draw(g: Layer): void;
+  updateAndDraw(g: Layer, dt?: number): void;
+  getTotalSparks(): number;
+  clear(): void;
+}
+
+/** "rgb(r,g,b)" for hue 0-360 and saturation/value 0-1. */
+export function hsv2rgb(h: number, s: number, v: number): string;
+
+export class Particle {
+  constructor(p: P5Instance);
+  x: number;
+  y: number;
+  life: number;
+  active: boolean;
+  noiseStrength: number;
+  /** This particle's share of the emitter's noise strength (0.6-2) */
+  noiseVariation: number;
+  init(x: number, y: number, vx: number, vy: number, size: number, noiseStrength?: number): void;
+  update(dt?: number): void;
+  draw(g: Layer): void;
+}
+
+export class ParticleEmitter {
+  constructor(p: P5Instance, color: string, maxParticles?: number);
+  /** Live particles, oldest first */
+  particles: Particle[];
+  /** Every particle the emitter will ever use */
+  particlePool: Particle[];
+  baseSize: number;
+  noiseStrength: number;
+  emit(x: number, y: number, intensity?: number, personId?: number, rate?: number): void;
+  emitBurst(x: number, y: number, intensity?: number): void;
+  update(dt?: number): void;
+  draw(g: Layer): void;
+  clear(): void;
+  setBurstParameters(interval: number, burstSize: number, minParticles: number): void;
+  setNoiseStrength(strength: number): void;
+}
+
+export const PARTICLE_EMITTER_KEYPOINTS: KeypointName[];
+export const PARTICLE_PARAMS: ParamDefinition<ParticleSystem>[];
+
+export class ParticleSystem {
+  constructor(p: P5Instance);
+  emitters: ParticleEmitter[];
+  particleCount: number;
+  particleSize: number;
+  noiseStrength: number;
+  setAudioAnalyzer(analyzer: AudioSource | null): void;
+  initialize(): void;
+  resizeEmitters(): void;
+  emitFromPose(pose: Pose, connections?: Connection[], minConfidence?: number): void;
+  setEmitterKeypoints(names: KeypointName[]): void;
+  update(dt?: number): void;
+  draw(g: Layer): void;
+  clear(): void;
+  forgetPerson(personId: number): void;
+  getTotalParticles(): number;
+  setNoiseStrength(strength: number): void;
+  setBurstParameters(interval: number, burstSize: number, minParticles: number): void;
+  setPaintingIntensity(intensity: number): void;
+  setParticleCount(count: number): void;
+  setParticleSize(size: number): void;
+}
+
+/** Smoke palette as [r, g, b] */
+export const warmColors: [number, number, number][];
+
+export class SmokeParticle {
+  constructor(p: P5Instance, x: number, y: number, size?: number, colorIndex?: number);
+  position: P5Vector;
+  velocity: P5Vector;
+  lifespan: number;
+  applyForce(force: P5Vector): void;
+  update(dt?: number): void;
+  show(g: Layer): void;
+  isDead(): boolean;
+}
+
+export const SMOKE_EMITTER_KEYPOINTS: KeypointName[];
+export const SMOKE_PARAMS: ParamDefinition<SmokeSystem>[];
+
+export class SmokeSystem {
+  constructor(p: P5Instance);
+  particles: SmokeParticle[];
+  /** Particle cap, whatever the density */
+  maxParticles: number;
+  /** Particles per keypoint per 60 fps frame */
+  smokeDensity: number;
+  /** Multiplier on the movement wind (1 = as measured) */
+  windStrength: number;
+  setAudioAnalyzer(analyzer: AudioSource | null): void;
+  emitFromPose(pose: Pose, minConfidence?: number, dt?: number): void;
+  forgetPerson(personId: number): void;
+  applyForce(force: P5Vector): void;
+  update(dt?: number): void;
+  draw(g: Layer): void;
+  run(g: Layer, dt?: number): void;
+  clear(): void;
+  setSmokeDensity(density: number): void;
+  /** Percent of the movement wind (100 = as measured) */
+  setWindStrength(strength: number): void;
+  setSmokeSize(size: number): void;
+  setEmitterKeypoints(names: KeypointName[]): void;
+  getTotalParticles(): number;
+  getWindInfo(): { direction: P5Vector; strength: number; targetDirection: P5Vector; targetStrength: number };
+}